@@ -1,5 +1,8 @@
 const Attachment = require('../models/Attachment');
 const Task = require('../models/Task');
+const { recordActivity } = require('../utils/activity');
+const { parseLimit, fetchPage } = require('../utils/cursor');
+const { isOwnerOrAdmin, canViewTask, canViewTaskOf } = require('../utils/policy');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -21,6 +24,18 @@ exports.uploadAttachment = async (req, res) => {
       });
     }
 
+    if (!(await canViewTask(task, req.user))) {
+      // The upload is already on disk
+      if (req.file) {
+        await fs.unlink(req.file.path).catch(() => {});
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
     // Check if file was uploaded
     if (!req.file) {
       return res.status(400).json({
@@ -44,6 +59,10 @@ exports.uploadAttachment = async (req, res) => {
     task.attachments.push(attachment._id);
     await task.save();
 
+    await recordActivity(task._id, req.user.id, 'attachment-added', [
+      { field: 'attachments', oldValue: null, newValue: attachment._id }
+    ]);
+
     const populatedAttachment = await Attachment.findById(attachment._id)
       .populate('uploadedBy', 'name email');
 
@@ -67,6 +86,7 @@ exports.uploadAttachment = async (req, res) => {
 exports.getAttachments = async (req, res) => {
   try {
     const { taskId } = req.params;
+    const { limit, after } = req.query;
 
     // Check if task exists
     const task = await Task.findById(taskId);
@@ -77,17 +97,28 @@ exports.getAttachments = async (req, res) => {
       });
     }
 
-    const attachments = await Attachment.find({ task: taskId })
-      .populate('uploadedBy', 'name email')
-      .sort({ createdAt: -1 });
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    // Newest first, one page at a time
+    const { items, nextCursor } = await fetchPage(
+      (filter) => Attachment.find(filter).populate('uploadedBy', 'name email'),
+      { task: taskId },
+      { sortBy: 'createdAt', order: 'desc', limit: parseLimit(limit, 20), after }
+    );
 
     res.status(200).json({
       success: true,
-      count: attachments.length,
-      data: attachments
+      count: items.length,
+      nextCursor,
+      data: items
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -110,6 +141,13 @@ exports.downloadAttachment = async (req, res) => {
       });
     }
 
+    if (!(await canViewTaskOf(attachment, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this attachment'
+      });
+    }
+
     // Check if file exists
     try {
       await fs.access(attachment.path);
@@ -150,8 +188,8 @@ exports.deleteAttachment = async (req, res) => {
       });
     }
 
-    // Check if user uploaded the attachment or is admin
-    if (attachment.uploadedBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user uploaded the attachment or is admin, and can still see the task
+    if (!isOwnerOrAdmin(attachment.uploadedBy, req.user) || !(await canViewTaskOf(attachment, req.user))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this attachment'
@@ -172,6 +210,10 @@ exports.deleteAttachment = async (req, res) => {
 
     await attachment.deleteOne();
 
+    await recordActivity(attachment.task, req.user.id, 'attachment-deleted', [
+      { field: 'attachments', oldValue: attachment._id, newValue: null }
+    ]);
+
     res.status(200).json({
       success: true,
       message: 'Attachment deleted successfully'
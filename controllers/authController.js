@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { claimInvitations } = require('../utils/invitations');
 
 /**
  * Generate JWT token
@@ -36,6 +37,9 @@ exports.register = async (req, res) => {
       password
     });
 
+    // Invitations sent before the account existed now belong to it
+    await claimInvitations(user);
+
     // Generate token
     const token = generateToken(user._id);
 
@@ -173,6 +177,36 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Set how long before due dates to be reminded
+ * @route   PUT /api/auth/reminders
+ * @access  Private
+ */
+exports.updateReminders = async (req, res) => {
+  try {
+    const leadTimes = [...new Set(req.body.leadTimes.map(Number))].sort((a, b) => a - b);
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { 'reminders.leadTimes': leadTimes },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: user.reminders
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 /**
  * @desc    Update password
  * @route   PUT /api/auth/password
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { loadTeamAccess, scopeTaskQuery } = require('../utils/policy');
+const { loadWorkflowLookup } = require('../utils/workflow');
+const { buildCalendar } = require('../utils/ical');
+
+// Feeds list the tasks with the latest due dates first, up to this many
+const FEED_LIMIT = 1000;
+
+// APP_URL is the public address of the API, for links in feeds
+const baseUrl = (req) => (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+const feedUrl = (req, token) => `${baseUrl(req)}/api/calendar/${token}.ics`;
+
+/**
+ * @desc    Get a calendar feed of task due dates
+ * @route   GET /api/calendar/:token.ics
+ * @access  Public (the token identifies the user)
+ */
+exports.getCalendarFeed = async (req, res) => {
+  try {
+    const { team, type = 'todo' } = req.query;
+
+    const user = await User.findOne({ calendarToken: String(req.params.token) });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    if (!['todo', 'event'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be todo or event'
+      });
+    }
+
+    // The user's own assignments, or everything due in one of their teams
+    let query;
+    let name = `Tasks for ${user.name}`;
+
+    if (team) {
+      const access = mongoose.isValidObjectId(team) ? await loadTeamAccess(team, user) : {};
+
+      if (!access.team) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+
+      if (!access.canView) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this team'
+        });
+      }
+
+      query = { team: access.team._id };
+      name = access.team.name;
+    } else {
+      // Assigned tasks of teams they have left stay out
+      query = await scopeTaskQuery(Task.assignedToQuery(user.id), user);
+    }
+
+    const tasks = await Task.find({ ...query, dueDate: { $ne: null } })
+      .populate('labels', 'name')
+      .sort({ dueDate: -1 })
+      .limit(FEED_LIMIT);
+
+    const workflowOf = await loadWorkflowLookup(tasks);
+    const base = baseUrl(req);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="tasks.ics"');
+    res.status(200).send(buildCalendar({
+      name,
+      tasks,
+      type,
+      workflowOf,
+      taskUrl: (task) => `${base}/api/tasks/${task.id}`
+    }));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get my calendar feed URL
+ * @route   GET /api/calendar/token
+ * @access  Private
+ */
+exports.getCalendarToken = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url: user.calendarToken ? feedUrl(req, user.calendarToken) : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create or regenerate my calendar feed URL
+ * @route   POST /api/calendar/token
+ * @access  Private
+ */
+exports.regenerateCalendarToken = async (req, res) => {
+  try {
+    // A new token cuts off everyone holding the old URL
+    const token = crypto.randomBytes(24).toString('hex');
+
+    await User.findByIdAndUpdate(req.user.id, { calendarToken: token });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url: feedUrl(req, token)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Turn off my calendar feed
+ * @route   DELETE /api/calendar/token
+ * @access  Private
+ */
+exports.deleteCalendarToken = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { $unset: { calendarToken: 1 } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed turned off'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
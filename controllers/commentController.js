@@ -1,5 +1,8 @@
 const Comment = require('../models/Comment');
 const Task = require('../models/Task');
+const { recordActivity } = require('../utils/activity');
+const { parseLimit, fetchPage } = require('../utils/cursor');
+const { isOwnerOrAdmin, canViewTask, canViewTaskOf } = require('../utils/policy');
 
 /**
  * @desc    Add comment to task
@@ -20,6 +23,13 @@ exports.addComment = async (req, res) => {
       });
     }
 
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
     // Create comment
     const comment = await Comment.create({
       content,
@@ -31,6 +41,10 @@ exports.addComment = async (req, res) => {
     task.comments.push(comment._id);
     await task.save();
 
+    await recordActivity(task._id, req.user.id, 'comment-added', [
+      { field: 'comments', oldValue: null, newValue: comment._id }
+    ]);
+
     const populatedComment = await Comment.findById(comment._id)
       .populate('author', 'name email');
 
@@ -54,6 +68,7 @@ exports.addComment = async (req, res) => {
 exports.getComments = async (req, res) => {
   try {
     const { taskId } = req.params;
+    const { limit, after } = req.query;
 
     // Check if task exists
     const task = await Task.findById(taskId);
@@ -64,17 +79,28 @@ exports.getComments = async (req, res) => {
       });
     }
 
-    const comments = await Comment.find({ task: taskId })
-      .populate('author', 'name email')
-      .sort({ createdAt: -1 });
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    // Newest first, one page at a time
+    const { items, nextCursor } = await fetchPage(
+      (filter) => Comment.find(filter).populate('author', 'name email'),
+      { task: taskId },
+      { sortBy: 'createdAt', order: 'desc', limit: parseLimit(limit, 20), after }
+    );
 
     res.status(200).json({
       success: true,
-      count: comments.length,
-      data: comments
+      count: items.length,
+      nextCursor,
+      data: items
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -97,8 +123,8 @@ exports.updateComment = async (req, res) => {
       });
     }
 
-    // Check if user is author
-    if (comment.author.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user is author and can still see the task
+    if (!isOwnerOrAdmin(comment.author, req.user) || !(await canViewTaskOf(comment, req.user))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this comment'
@@ -139,8 +165,8 @@ exports.deleteComment = async (req, res) => {
       });
     }
 
-    // Check if user is author
-    if (comment.author.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user is author and can still see the task
+    if (!isOwnerOrAdmin(comment.author, req.user) || !(await canViewTaskOf(comment, req.user))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this comment'
@@ -154,6 +180,10 @@ exports.deleteComment = async (req, res) => {
 
     await comment.deleteOne();
 
+    await recordActivity(comment.task, req.user.id, 'comment-deleted', [
+      { field: 'comments', oldValue: comment._id, newValue: null }
+    ]);
+
     res.status(200).json({
       success: true,
       message: 'Comment deleted successfully'
@@ -0,0 +1,468 @@
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const { loadTeamAccess } = require('../utils/policy');
+const {
+  hashToken,
+  isExpired,
+  issueInvitation,
+  mailInvitation,
+  joinTeam
+} = require('../utils/invitations');
+
+const INVITATION_STATUSES = ['pending', 'expired', 'accepted', 'declined', 'revoked'];
+
+// APP_URL is the public address of the API, for links in mails
+const baseUrl = (req) => (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+const findByToken = (token) => {
+  return Invitation.findOne({ tokenHash: hashToken(token) })
+    .populate('team', 'name')
+    .populate('invitedBy', 'name email');
+};
+
+// Why an invitation can no longer be answered, or null while it is open
+const closedReason = (invitation) => {
+  if (invitation.status !== 'pending') {
+    return `Invitation was already ${invitation.status}`;
+  }
+  if (isExpired(invitation)) {
+    return 'Invitation has expired';
+  }
+  return null;
+};
+
+// Answer an open invitation; resolves to null if someone else answered it first
+const respond = (invitation, changes) => {
+  return Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending', expiresAt: { $gt: new Date() } },
+    { ...changes, respondedAt: Date.now(), updatedAt: Date.now() },
+    { new: true }
+  );
+};
+
+/**
+ * Answer an invitation, joining its team when accepting.
+ * Resolves to {} or { error } with the status code to answer.
+ */
+const answer = async (invitation, changes) => {
+  const reason = closedReason(invitation);
+  if (reason) {
+    return { error: { statusCode: 410, message: reason } };
+  }
+
+  if (!(await respond(invitation, changes))) {
+    return { error: { statusCode: 410, message: 'Invitation is no longer open' } };
+  }
+
+  if (changes.status === 'accepted') {
+    await joinTeam(invitation.team._id, changes.invitee, invitation.role);
+  }
+  return {};
+};
+
+// Invitations to a user's account or email address
+const addressedTo = (user) => ({ $or: [{ invitee: user.id }, { email: user.email }] });
+
+const findMine = (id, user) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return Invitation.findOne({ _id: id, ...addressedTo(user) }).populate('team', 'name');
+};
+
+const sendError = (res, { statusCode, message }) => {
+  return res.status(statusCode).json({
+    success: false,
+    message
+  });
+};
+
+/**
+ * @desc    Invite someone to a team by email
+ * @route   POST /api/teams/:teamId/invitations
+ * @access  Private
+ */
+exports.createInvitation = async (req, res) => {
+  try {
+    const { email, role = 'member' } = req.body;
+
+    const { team, canManage } = await loadTeamAccess(req.params.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to invite members to this team'
+      });
+    }
+
+    await team.populate('members.user', 'email');
+    if (team.members.some(member => member.user?.email === email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a member of this team'
+      });
+    }
+
+    const { invitation, token } = await issueInvitation(team, { email, role }, req.user);
+
+    // Without the mail the token is lost, so the invitation can't stay open
+    try {
+      await mailInvitation({
+        invitation,
+        token,
+        team,
+        inviter: req.user,
+        url: `${baseUrl(req)}/api/invitations/${token}`
+      });
+    } catch (error) {
+      await Invitation.findByIdAndUpdate(invitation._id, { status: 'revoked', updatedAt: Date.now() });
+
+      return res.status(502).json({
+        success: false,
+        message: `Invitation could not be sent: ${error.message}`
+      });
+    }
+
+    const populatedInvitation = await Invitation.findById(invitation._id)
+      .populate('invitedBy', 'name email')
+      .populate('invitee', 'name email');
+
+    res.status(201).json({
+      success: true,
+      data: populatedInvitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the invitations of a team, pending ones by default
+ * @route   GET /api/teams/:teamId/invitations
+ * @access  Private
+ */
+exports.getInvitations = async (req, res) => {
+  try {
+    const { team, canManage } = await loadTeamAccess(req.params.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage invitations of this team'
+      });
+    }
+
+    const status = String(req.query.status || 'pending');
+
+    if (!INVITATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use one of ${INVITATION_STATUSES.join(', ')}`
+      });
+    }
+
+    // Expired invitations are pending ones past their expiry
+    const query = { team: team._id };
+    if (status === 'pending' || status === 'expired') {
+      query.status = 'pending';
+      query.expiresAt = status === 'pending' ? { $gt: new Date() } : { $lte: new Date() };
+    } else {
+      query.status = status;
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'name email')
+      .populate('invitee', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the pending invitations to my email
+ * @route   GET /api/invitations/mine
+ * @access  Private
+ */
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      ...addressedTo(req.user),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('team', 'name')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Look up an invitation by its token
+ * @route   GET /api/invitations/:token
+ * @access  Public (the token identifies the invitation)
+ */
+exports.getInvitation = async (req, res) => {
+  try {
+    const invitation = await findByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        team: invitation.team,
+        email: invitation.email,
+        role: invitation.role,
+        status: invitation.status,
+        expired: invitation.status === 'pending' && isExpired(invitation),
+        invitedBy: invitation.invitedBy && { name: invitation.invitedBy.name },
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Accept an invitation and join its team
+ * @route   POST /api/invitations/:token/accept
+ * @access  Private
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await findByToken(req.params.token);
+
+    if (!invitation || !invitation.team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to another email address'
+      });
+    }
+
+    const { error } = await answer(invitation, { status: 'accepted', invitee: req.user._id });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        team: invitation.team,
+        role: invitation.role
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Decline an invitation
+ * @route   POST /api/invitations/:token/decline
+ * @access  Public (the token identifies the invitation)
+ */
+exports.declineInvitation = async (req, res) => {
+  try {
+    const invitation = await findByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    const { error } = await answer(invitation, { status: 'declined' });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Accept one of my invitations and join its team
+ * @route   POST /api/invitations/mine/:id/accept
+ * @access  Private
+ */
+exports.acceptMyInvitation = async (req, res) => {
+  try {
+    const invitation = await findMine(req.params.id, req.user);
+
+    if (!invitation || !invitation.team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    const { error } = await answer(invitation, { status: 'accepted', invitee: req.user._id });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        team: invitation.team,
+        role: invitation.role
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Decline one of my invitations
+ * @route   POST /api/invitations/mine/:id/decline
+ * @access  Private
+ */
+exports.declineMyInvitation = async (req, res) => {
+  try {
+    const invitation = await findMine(req.params.id, req.user);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    const { error } = await answer(invitation, { status: 'declined', invitee: req.user._id });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/invitations/:id
+ * @access  Private
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = mongoose.isValidObjectId(req.params.id)
+      ? await Invitation.findById(req.params.id)
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    const { canManage } = await loadTeamAccess(invitation.team, req.user);
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage invitations of this team'
+      });
+    }
+
+    // Only while nobody has answered it, even if that happens meanwhile
+    const revoked = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'revoked', updatedAt: Date.now() }
+    );
+
+    if (!revoked) {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation was already ${invitation.status === 'pending' ? 'answered' : invitation.status}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
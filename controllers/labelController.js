@@ -0,0 +1,318 @@
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const { loadTeamAccess } = require('../utils/policy');
+const { labelKey, retagTasks, removeLabel, migrateTags } = require('../utils/labels');
+
+/**
+ * Load a label the user may see, or manage with `manage`.
+ * Resolves to { label } or { error } with the status code to answer.
+ */
+const loadLabel = async (labelId, user, { manage = false } = {}) => {
+  const label = await Label.findById(labelId);
+
+  if (!label) {
+    return { error: { statusCode: 404, message: 'Label not found' } };
+  }
+
+  const access = await loadTeamAccess(label.team, user);
+
+  if (!(manage ? access.canManage : access.canView)) {
+    return {
+      error: {
+        statusCode: 403,
+        message: manage ? 'Not authorized to manage labels of this team' : 'Not authorized to access this label'
+      }
+    };
+  }
+
+  return { label };
+};
+
+const sendError = (res, { statusCode, message }) => {
+  return res.status(statusCode).json({
+    success: false,
+    message
+  });
+};
+
+// Label names fold to a key that is unique within the team
+const duplicateName = (res, name) => {
+  return res.status(409).json({
+    success: false,
+    message: `The team already has a label named like "${name}"`
+  });
+};
+
+/**
+ * @desc    Create a label for a team
+ * @route   POST /api/teams/:teamId/labels
+ * @access  Private
+ */
+exports.createLabel = async (req, res) => {
+  try {
+    const { name, color, description } = req.body;
+
+    const { team, canManage } = await loadTeamAccess(req.params.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage labels of this team'
+      });
+    }
+
+    const key = labelKey(name);
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        message: 'Label names need at least one letter or digit'
+      });
+    }
+
+    if (await Label.exists({ team: team._id, key })) {
+      return duplicateName(res, name);
+    }
+
+    const label = await Label.create({
+      team: team._id,
+      name,
+      key,
+      color,
+      description,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: label
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateName(res, req.body.name);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the labels of a team with their task counts
+ * @route   GET /api/teams/:teamId/labels
+ * @access  Private
+ */
+exports.getLabels = async (req, res) => {
+  try {
+    const { team, canView } = await loadTeamAccess(req.params.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this team'
+      });
+    }
+
+    const labels = await Label.find({ team: team._id }).sort({ key: 1 });
+
+    const counts = await Task.aggregate([
+      { $match: { labels: { $in: labels.map(label => label._id) }, deletedAt: null } },
+      { $unwind: '$labels' },
+      { $group: { _id: '$labels', tasks: { $sum: 1 } } }
+    ]);
+    const taskCounts = Object.fromEntries(counts.map(({ _id, tasks }) => [_id.toString(), tasks]));
+
+    res.status(200).json({
+      success: true,
+      count: labels.length,
+      data: labels.map(label => ({ ...label.toObject(), tasks: taskCounts[label.id] || 0 }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update label
+ * @route   PUT /api/labels/:id
+ * @access  Private
+ */
+exports.updateLabel = async (req, res) => {
+  try {
+    let { label, error } = await loadLabel(req.params.id, req.user, { manage: true });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    const { name, color, description } = req.body;
+    const updates = { color, description, updatedAt: Date.now() };
+
+    if (name !== undefined) {
+      const key = labelKey(name);
+      if (!key) {
+        return res.status(400).json({
+          success: false,
+          message: 'Label names need at least one letter or digit'
+        });
+      }
+
+      // Merging is the way to fold one label into another
+      if (await Label.exists({ team: label.team, key, _id: { $ne: label._id } })) {
+        return duplicateName(res, name);
+      }
+
+      updates.name = name;
+      updates.key = key;
+    }
+
+    label = await Label.findByIdAndUpdate(label._id, updates, {
+      new: true,
+      runValidators: true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: label
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateName(res, req.body.name);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete label, removing it from its tasks
+ * @route   DELETE /api/labels/:id
+ * @access  Private
+ */
+exports.deleteLabel = async (req, res) => {
+  try {
+    const { label, error } = await loadLabel(req.params.id, req.user, { manage: true });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    await removeLabel(label._id, req.user.id);
+
+    await label.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Label deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Merge a label into another, retagging its tasks
+ * @route   POST /api/labels/:id/merge
+ * @access  Private
+ */
+exports.mergeLabel = async (req, res) => {
+  try {
+    const { label, error } = await loadLabel(req.params.id, req.user, { manage: true });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    const target = await Label.findOne({ _id: req.body.into, team: label.team });
+
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        message: 'Labels can only be merged into another label of the same team'
+      });
+    }
+
+    if (target.id === label.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A label cannot be merged into itself'
+      });
+    }
+
+    await retagTasks(label._id, target._id, req.user.id);
+
+    await label.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: target
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Convert the free-text tags of a team's tasks into labels
+ * @route   POST /api/teams/:teamId/labels/migrate-tags
+ * @access  Private
+ */
+exports.migrateTeamTags = async (req, res) => {
+  try {
+    const { team, canManage } = await loadTeamAccess(req.params.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage labels of this team'
+      });
+    }
+
+    const dryRun = String(req.query.dryRun) === 'true';
+    const { labels, tasks } = await migrateTags(team, req.user, { dryRun });
+
+    res.status(200).json({
+      success: true,
+      dryRun,
+      tasks,
+      count: labels.length,
+      data: labels
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const Milestone = require('../models/Milestone');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { loadTeamAccess } = require('../utils/policy');
+const { updateTasks } = require('../utils/activity');
+const { withProgress } = require('../utils/projects');
+
+/**
+ * Load a milestone the user may see, or manage with `manage`.
+ * Resolves to { milestone } or { error } with the status code to answer.
+ */
+const loadMilestone = async (milestoneId, user, { manage = false } = {}) => {
+  const milestone = await Milestone.findById(milestoneId);
+
+  if (!milestone) {
+    return { error: { statusCode: 404, message: 'Milestone not found' } };
+  }
+
+  const access = await loadTeamAccess(milestone.team, user);
+
+  if (!(manage ? access.canManage : access.canView)) {
+    return {
+      error: {
+        statusCode: 403,
+        message: manage ? 'Not authorized to manage milestones of this team' : 'Not authorized to access this milestone'
+      }
+    };
+  }
+
+  return { milestone };
+};
+
+const sendError = (res, { statusCode, message }) => {
+  return res.status(statusCode).json({
+    success: false,
+    message
+  });
+};
+
+// A milestone's project must be one of its team's; returns an error message or null
+const checkProject = async (projectId, teamId) => {
+  if (!mongoose.isValidObjectId(projectId)) {
+    return 'Invalid project ID';
+  }
+
+  const project = await Project.findById(projectId).select('team');
+  if (!project || project.team.toString() !== teamId.toString()) {
+    return 'Project must belong to the same team';
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Create a milestone for a team
+ * @route   POST /api/teams/:teamId/milestones
+ * @access  Private
+ */
+exports.createMilestone = async (req, res) => {
+  try {
+    const { name, description, dueDate, project } = req.body;
+
+    const { team, canManage } = await loadTeamAccess(req.params.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones of this team'
+      });
+    }
+
+    if (project) {
+      const projectError = await checkProject(project, team._id);
+      if (projectError) {
+        return res.status(400).json({
+          success: false,
+          message: projectError
+        });
+      }
+    }
+
+    const milestone = await Milestone.create({
+      team: team._id,
+      project: project || null,
+      name,
+      description,
+      dueDate,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: (await withProgress([milestone]))[0]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the milestones of a team with their progress
+ * @route   GET /api/teams/:teamId/milestones
+ * @access  Private
+ */
+exports.getMilestones = async (req, res) => {
+  try {
+    const { team, canView } = await loadTeamAccess(req.params.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this team'
+      });
+    }
+
+    const { project, late } = req.query;
+    const query = { team: team._id };
+
+    // Filter by project; "none" is milestones spanning the whole team
+    if (project) {
+      if (project !== 'none' && !mongoose.isValidObjectId(project)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid project ID'
+        });
+      }
+      query.project = project === 'none' ? null : project;
+    }
+
+    const milestones = await Milestone.find(query).sort({ dueDate: 1, createdAt: 1 });
+    let data = await withProgress(milestones);
+
+    // Lateness depends on task progress, so it is filtered after counting
+    if (String(late) === 'true' || String(late) === 'false') {
+      data = data.filter(milestone => milestone.late === (String(late) === 'true'));
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single milestone with its progress and tasks
+ * @route   GET /api/milestones/:id
+ * @access  Private
+ */
+exports.getMilestone = async (req, res) => {
+  try {
+    const { milestone, error } = await loadMilestone(req.params.id, req.user);
+    if (error) {
+      return sendError(res, error);
+    }
+
+    const [data] = await withProgress([milestone]);
+    const tasks = await Task.find({ milestone: milestone._id })
+      .populate('assignees', 'name email')
+      .sort({ dueDate: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { ...data, tasks }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update milestone
+ * @route   PUT /api/milestones/:id
+ * @access  Private
+ */
+exports.updateMilestone = async (req, res) => {
+  try {
+    let { milestone, error } = await loadMilestone(req.params.id, req.user, { manage: true });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    const { name, description, dueDate, project } = req.body;
+
+    if (project) {
+      const projectError = await checkProject(project, milestone.team);
+      if (projectError) {
+        return res.status(400).json({
+          success: false,
+          message: projectError
+        });
+      }
+    }
+
+    milestone = await Milestone.findByIdAndUpdate(
+      milestone._id,
+      {
+        name,
+        description,
+        dueDate,
+        project: project === undefined ? undefined : project || null,
+        updatedAt: Date.now()
+      },
+      { new: true, runValidators: true }
+    );
+
+    // Tasks follow their milestone into its new project
+    if (project) {
+      await updateTasks({ milestone: milestone._id }, req.user.id, { project: milestone.project });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (await withProgress([milestone]))[0]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete milestone
+ * @route   DELETE /api/milestones/:id
+ * @access  Private
+ */
+exports.deleteMilestone = async (req, res) => {
+  try {
+    const { milestone, error } = await loadMilestone(req.params.id, req.user, { manage: true });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    // The tasks stay in their project
+    await updateTasks({ milestone: milestone._id }, req.user.id, { milestone: null });
+
+    await milestone.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Milestone deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
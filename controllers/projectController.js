@@ -0,0 +1,227 @@
+const Project = require('../models/Project');
+const Milestone = require('../models/Milestone');
+const Task = require('../models/Task');
+const { loadTeamAccess } = require('../utils/policy');
+const { updateTasks } = require('../utils/activity');
+const { withProgress } = require('../utils/projects');
+const { loadDoneCheck } = require('../utils/workflow');
+
+/**
+ * Load a project the user may see, or manage with `manage`.
+ * Resolves to { project } or { error } with the status code to answer.
+ */
+const loadProject = async (projectId, user, { manage = false } = {}) => {
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    return { error: { statusCode: 404, message: 'Project not found' } };
+  }
+
+  const access = await loadTeamAccess(project.team, user);
+
+  if (!(manage ? access.canManage : access.canView)) {
+    return {
+      error: {
+        statusCode: 403,
+        message: manage ? 'Not authorized to manage projects of this team' : 'Not authorized to access this project'
+      }
+    };
+  }
+
+  return { project };
+};
+
+const sendError = (res, { statusCode, message }) => {
+  return res.status(statusCode).json({
+    success: false,
+    message
+  });
+};
+
+/**
+ * @desc    Create a project for a team
+ * @route   POST /api/teams/:teamId/projects
+ * @access  Private
+ */
+exports.createProject = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const { team, canManage } = await loadTeamAccess(req.params.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage projects of this team'
+      });
+    }
+
+    const project = await Project.create({
+      team: team._id,
+      name,
+      description,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the projects of a team
+ * @route   GET /api/teams/:teamId/projects
+ * @access  Private
+ */
+exports.getProjects = async (req, res) => {
+  try {
+    const { team, canView } = await loadTeamAccess(req.params.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this team'
+      });
+    }
+
+    const query = { team: team._id };
+
+    if (req.query.status) {
+      query.status = String(req.query.status);
+    }
+
+    const projects = await Project.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: projects.length,
+      data: projects
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single project with its milestones and task totals
+ * @route   GET /api/projects/:id
+ * @access  Private
+ */
+exports.getProject = async (req, res) => {
+  try {
+    const { project, error } = await loadProject(req.params.id, req.user);
+    if (error) {
+      return sendError(res, error);
+    }
+
+    const milestones = await Milestone.find({ project: project._id }).sort({ dueDate: 1 });
+    const tasks = await Task.find({ project: project._id }).select('status team');
+    const isTaskDone = await loadDoneCheck(tasks);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...project.toObject(),
+        tasks: {
+          total: tasks.length,
+          done: tasks.filter(isTaskDone).length
+        },
+        milestones: await withProgress(milestones)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update project
+ * @route   PUT /api/projects/:id
+ * @access  Private
+ */
+exports.updateProject = async (req, res) => {
+  try {
+    let { project, error } = await loadProject(req.params.id, req.user, { manage: true });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    const { name, description, status } = req.body;
+
+    project = await Project.findByIdAndUpdate(
+      project._id,
+      { name, description, status, updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete project along with its milestones
+ * @route   DELETE /api/projects/:id
+ * @access  Private
+ */
+exports.deleteProject = async (req, res) => {
+  try {
+    const { project, error } = await loadProject(req.params.id, req.user, { manage: true });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    const milestoneIds = await Milestone.find({ project: project._id }).distinct('_id');
+
+    // The tasks themselves stay with the team
+    await updateTasks({ project: project._id }, req.user.id, { project: null });
+    await updateTasks({ milestone: { $in: milestoneIds } }, req.user.id, { milestone: null });
+    await Milestone.deleteMany({ _id: { $in: milestoneIds } });
+
+    await project.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,402 @@
+const Sprint = require('../models/Sprint');
+const Task = require('../models/Task');
+const { loadTeamAccess } = require('../utils/policy');
+const { updateTasks } = require('../utils/activity');
+const { sumPoints, loadSprintProgress, findAdded, buildSprintReport } = require('../utils/sprints');
+
+/**
+ * Load a sprint the user may see, or manage with `manage`.
+ * Resolves to { sprint } or { error } with the status code to answer.
+ */
+const loadSprint = async (sprintId, user, { manage = false } = {}) => {
+  const sprint = await Sprint.findById(sprintId);
+
+  if (!sprint) {
+    return { error: { statusCode: 404, message: 'Sprint not found' } };
+  }
+
+  const access = await loadTeamAccess(sprint.team, user);
+
+  if (!(manage ? access.canManage : access.canView)) {
+    return {
+      error: {
+        statusCode: 403,
+        message: manage ? 'Not authorized to manage sprints of this team' : 'Not authorized to access this sprint'
+      }
+    };
+  }
+
+  return { sprint };
+};
+
+const sendError = (res, { statusCode, message }) => {
+  return res.status(statusCode).json({
+    success: false,
+    message
+  });
+};
+
+const checkDates = (startDate, endDate) => {
+  if (new Date(endDate) <= new Date(startDate)) {
+    return 'End date must be after the start date';
+  }
+  return null;
+};
+
+/**
+ * @desc    Create a sprint for a team
+ * @route   POST /api/teams/:teamId/sprints
+ * @access  Private
+ */
+exports.createSprint = async (req, res) => {
+  try {
+    const { name, goal, startDate, endDate } = req.body;
+
+    const { team, canManage } = await loadTeamAccess(req.params.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage sprints of this team'
+      });
+    }
+
+    const dateError = checkDates(startDate, endDate);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
+
+    const sprint = await Sprint.create({
+      team: team._id,
+      name,
+      goal,
+      startDate,
+      endDate,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: sprint
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the sprints of a team
+ * @route   GET /api/teams/:teamId/sprints
+ * @access  Private
+ */
+exports.getSprints = async (req, res) => {
+  try {
+    const { team, canView } = await loadTeamAccess(req.params.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this team'
+      });
+    }
+
+    const query = { team: team._id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const sprints = await Sprint.find(query)
+      .select('-committed.tasks -completed.tasks -added.tasks -rolledOver.tasks')
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: sprints.length,
+      data: sprints
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single sprint with its tasks
+ * @route   GET /api/sprints/:id
+ * @access  Private
+ */
+exports.getSprint = async (req, res) => {
+  try {
+    const { sprint, error } = await loadSprint(req.params.id, req.user);
+    if (error) {
+      return sendError(res, error);
+    }
+
+    const tasks = await Task.find({ sprint: sprint._id })
+      .populate('assignees', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { ...sprint.toObject(), tasks }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update sprint
+ * @route   PUT /api/sprints/:id
+ * @access  Private
+ */
+exports.updateSprint = async (req, res) => {
+  try {
+    let { sprint, error } = await loadSprint(req.params.id, req.user, { manage: true });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    if (sprint.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Closed sprints cannot be changed'
+      });
+    }
+
+    const { name, goal, startDate, endDate } = req.body;
+
+    const dateError = checkDates(startDate || sprint.startDate, endDate || sprint.endDate);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
+
+    sprint = await Sprint.findByIdAndUpdate(
+      sprint._id,
+      { name, goal, startDate, endDate, updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: sprint
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete sprint
+ * @route   DELETE /api/sprints/:id
+ * @access  Private
+ */
+exports.deleteSprint = async (req, res) => {
+  try {
+    const { sprint, error } = await loadSprint(req.params.id, req.user, { manage: true });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    if (sprint.status === 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Close the sprint before deleting it'
+      });
+    }
+
+    // Planned work goes back to the backlog
+    await updateTasks({ sprint: sprint._id }, req.user.id, { sprint: null });
+
+    await sprint.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Sprint deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Start a sprint
+ * @route   POST /api/sprints/:id/start
+ * @access  Private
+ */
+exports.startSprint = async (req, res) => {
+  try {
+    const { sprint, error } = await loadSprint(req.params.id, req.user, { manage: true });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    if (sprint.status !== 'planned') {
+      return res.status(400).json({
+        success: false,
+        message: `Sprint is already ${sprint.status}`
+      });
+    }
+
+    // A team works on one sprint at a time
+    const active = await Sprint.findOne({ team: sprint.team, status: 'active' }).select('name');
+    if (active) {
+      return res.status(409).json({
+        success: false,
+        message: `Close the active sprint "${active.name}" first`
+      });
+    }
+
+    // Whatever is planned in now is what the team commits to
+    const tasks = await Task.find({ sprint: sprint._id }).select('storyPoints');
+
+    sprint.committed = {
+      tasks: tasks.map(task => task._id),
+      points: sumPoints(tasks)
+    };
+    sprint.status = 'active';
+    sprint.startedAt = Date.now();
+    sprint.updatedAt = Date.now();
+    await sprint.save();
+
+    res.status(200).json({
+      success: true,
+      data: sprint
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Close a sprint, rolling unfinished tasks over to the next one
+ * @route   POST /api/sprints/:id/close
+ * @access  Private
+ */
+exports.closeSprint = async (req, res) => {
+  try {
+    const { sprint, error } = await loadSprint(req.params.id, req.user, { manage: true });
+    if (error) {
+      return sendError(res, error);
+    }
+
+    if (sprint.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only an active sprint can be closed'
+      });
+    }
+
+    // Unfinished work moves to the chosen sprint, else the next planned one
+    const nextSprintId = req.body?.nextSprint;
+    let nextSprint;
+
+    if (nextSprintId) {
+      nextSprint = await Sprint.findOne({ _id: nextSprintId, team: sprint.team, status: 'planned' });
+      if (!nextSprint) {
+        return res.status(400).json({
+          success: false,
+          message: 'Next sprint must be a planned sprint of the same team'
+        });
+      }
+    } else {
+      nextSprint = await Sprint.findOne({ team: sprint.team, status: 'planned' })
+        .sort({ startDate: 1 });
+    }
+
+    const { done, open } = await loadSprintProgress(sprint);
+    const added = findAdded(sprint, [...done, ...open]);
+
+    // Without a next sprint, unfinished tasks go back to the backlog
+    await updateTasks(
+      { _id: { $in: open.map(task => task._id) } },
+      req.user.id,
+      { sprint: nextSprint ? nextSprint._id : null }
+    );
+
+    sprint.completed = { tasks: done.map(task => task._id), points: sumPoints(done) };
+    sprint.added = { tasks: added.map(task => task._id), points: sumPoints(added) };
+    sprint.rolledOver = {
+      tasks: open.map(task => task._id),
+      points: sumPoints(open),
+      to: nextSprint ? nextSprint._id : undefined
+    };
+    sprint.status = 'closed';
+    sprint.closedAt = Date.now();
+    sprint.updatedAt = Date.now();
+    await sprint.save();
+
+    res.status(200).json({
+      success: true,
+      data: sprint,
+      report: await buildSprintReport(sprint)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the committed vs completed report of a sprint
+ * @route   GET /api/sprints/:id/report
+ * @access  Private
+ */
+exports.getSprintReport = async (req, res) => {
+  try {
+    const { sprint, error } = await loadSprint(req.params.id, req.user);
+    if (error) {
+      return sendError(res, error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildSprintReport(sprint)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
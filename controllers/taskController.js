@@ -1,57 +1,1528 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const User = require('../models/User');
 const Team = require('../models/Team');
+const Activity = require('../models/Activity');
+const TaskTemplate = require('../models/TaskTemplate');
+const { diffFields, recordActivity } = require('../utils/activity');
+const { buildTaskQuery, paginateTasks } = require('../utils/taskQuery');
+const { SORTABLE_FIELDS } = require('../utils/searchQuery');
+const { parseLimit, fetchPage } = require('../utils/cursor');
+const { setEtag, isStale, isNotModified } = require('../utils/etag');
+const { purgeDate } = require('../utils/trash');
+const { fillTemplate, templateDueDate } = require('../utils/template');
+const { resolveCustomValues } = require('../utils/customFields');
+const { checkSprintPlanning } = require('../utils/sprints');
+const { resolveGrouping } = require('../utils/projects');
+const { checkLabels, carryLabels } = require('../utils/labels');
+const {
+  isAdmin,
+  isTeamMember,
+  canViewTeam,
+  loadTeamAccess,
+  canViewTask,
+  canEditTask,
+  canDeleteTask,
+  canRestoreTask,
+  loadTaskVisibility,
+  scopeTaskQuery,
+  canUseShared
+} = require('../utils/policy');
+const { duplicateTask } = require('../utils/taskClone');
+const { MAX_RANK_LENGTH, rankBetween, findColumn, rebalanceColumn, appendRank } = require('../utils/rank');
+const { parseRule, formatRule, nextOccurrence, upcomingOccurrences } = require('../utils/recurrence');
+const {
+  resolveWorkflow,
+  initialStatus,
+  completionStatus,
+  isDoneStatus,
+  canTransition,
+  isBlockedMove,
+  loadWorkflow,
+  loadDoneCheck
+} = require('../utils/workflow');
+
+// Merge the single assignedTo with an assignees list, primary first, without duplicates
+const collectAssignees = (assignedTo, assignees) => {
+  const ids = [assignedTo, ...(Array.isArray(assignees) ? assignees : [])]
+    .filter(Boolean)
+    .map(id => id.toString());
+
+  return [...new Set(ids)];
+};
+
+const usersExist = async (ids) => {
+  if (ids.length === 0) {
+    return true;
+  }
+  return (await User.countDocuments({ _id: { $in: ids } })) === ids.length;
+};
+
+const findOpenBlockers = async (task) => {
+  const blockers = await Task.find({ _id: { $in: task.blockedBy } }).select('title status team');
+  const isTaskDone = await loadDoneCheck(blockers);
+
+  return blockers.filter(blocker => !isTaskDone(blocker));
+};
+
+/**
+ * Build the nested subtask tree below a task. Completion counts roll up
+ * from the leaves, so each node reports progress across all its descendants.
+ */
+const buildSubtaskTree = (rootId, descendants, isTaskDone) => {
+  const childrenOf = {};
+  descendants.forEach(task => {
+    const key = task.parent.toString();
+    childrenOf[key] = childrenOf[key] || [];
+    childrenOf[key].push(task);
+  });
+
+  const buildLevel = (parentId) => {
+    const progress = { total: 0, completed: 0, percent: 0 };
+
+    const subtasks = (childrenOf[parentId] || []).map(child => {
+      const node = buildLevel(child.id);
+
+      progress.total += 1 + node.progress.total;
+      progress.completed += (isTaskDone(child) ? 1 : 0) + node.progress.completed;
+
+      return { ...child.toObject(), subtasks: node.subtasks, progress: node.progress };
+    });
+
+    if (progress.total > 0) {
+      progress.percent = Math.round((progress.completed / progress.total) * 100);
+    }
+
+    return { subtasks, progress };
+  };
+
+  return buildLevel(rootId.toString());
+};
+
+// Failure result of a task operation, turned into a response by the caller
+const taskError = (statusCode, message, extra = {}) => ({
+  error: { statusCode, message, ...extra }
+});
+
+const sendTaskError = (res, { statusCode, ...error }) => {
+  return res.status(statusCode).json({
+    success: false,
+    ...error
+  });
+};
+
+const STALE_MESSAGE = 'Task was modified by someone else. Reload it and try again';
+
+// Answer 412 with the current task and its ETag, so the client can merge and retry
+const sendStaleTask = async (res, taskId, message = STALE_MESSAGE) => {
+  const current = await Task.findById(taskId)
+    .populate('createdBy', 'name email')
+    .populate('assignedTo', 'name email')
+    .populate('assignees', 'name email')
+    .populate('team', 'name');
+
+  if (current) {
+    setEtag(res, current);
+  }
+  return res.status(412).json({
+    success: false,
+    message,
+    data: current
+  });
+};
+
+// Send a failed task write, handing back the current task when it lost to another write
+const sendWriteError = (res, taskId, error) => {
+  return error.statusCode === 412 ? sendStaleTask(res, taskId, error.message) : sendTaskError(res, error);
+};
+
+// Fields an update may change. Dependencies go through /dependencies so cycle
+// checks always run, watchers and the trash have their own endpoints, and the
+// rest (completedAt, rank, overdue, the version) follow from other changes.
+const EDITABLE_FIELDS = [
+  'title', 'description', 'status', 'priority', 'dueDate', 'estimate', 'storyPoints',
+  'recurrence', 'assignedTo', 'assignees', 'team', 'sprint', 'project', 'milestone',
+  'parent', 'tags', 'labels', 'customFields'
+];
+
+/**
+ * Apply a set of field changes to a task on behalf of a user, running the
+ * same permission, workflow and dependency checks for every caller.
+ * Fields outside EDITABLE_FIELDS are ignored. `position` carries a board
+ * rank worked out by the caller.
+ * Resolves to { task } on success or { error } describing the failure.
+ */
+const applyTaskUpdate = async (task, body, user, position = {}) => {
+  const changes = Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body?.[field] !== undefined).map(field => [field, body[field]])
+  );
+
+  // Check if user is creator or assigned user
+  if (!(await canEditTask(task, user))) {
+    return taskError(403, 'Not authorized to update this task');
+  }
+
+  // Guard re-parenting so the subtask hierarchy never loops back on itself
+  if (changes.parent) {
+    const parentTask = await Task.findById(changes.parent);
+    if (!parentTask) {
+      return taskError(404, 'Parent task not found');
+    }
+    if (!(await canViewTask(parentTask, user))) {
+      return taskError(403, 'Not authorized to access the parent task');
+    }
+
+    const descendants = await Task.findDescendants(task._id);
+    if (parentTask.id === task.id || descendants.some(d => d.id === parentTask.id)) {
+      return taskError(400, 'A task cannot be nested under itself or one of its subtasks');
+    }
+  }
+
+  // Verify the new team exists if the task is moving
+  const teamChanged = changes.team !== undefined &&
+    String(changes.team || '') !== String(task.team || '');
+
+  if (teamChanged && changes.team) {
+    const teamDoc = await Team.findById(changes.team);
+    if (!teamDoc) {
+      return taskError(404, 'Team not found');
+    }
+    if (!canViewTeam(teamDoc, user)) {
+      return taskError(403, 'Not authorized to move tasks into this team');
+    }
+  }
+
+  // Recheck custom field values when they change or the task changes team
+  if (changes.customFields !== undefined || teamChanged) {
+    const teamId = teamChanged ? changes.team : task.team;
+    const teamDoc = teamId ? await Team.findById(teamId).select('customFields members') : null;
+
+    const custom = resolveCustomValues(teamDoc, task.customFields, changes.customFields || {});
+    if (custom.error) {
+      return taskError(400, custom.error);
+    }
+    changes.customFields = custom.values;
+  }
+
+  // Sprints belong to a team, so moving teams takes the task out of its sprint
+  if (changes.sprint) {
+    const sprintError = await checkSprintPlanning(changes.sprint, teamChanged ? changes.team : task.team);
+    if (sprintError) {
+      return taskError(400, sprintError);
+    }
+  } else if (changes.sprint !== undefined || (teamChanged && task.sprint)) {
+    changes.sprint = null;
+  }
+
+  // Projects and milestones belong to a team too, and moving teams leaves them
+  if (changes.project !== undefined || changes.milestone !== undefined || teamChanged) {
+    const grouping = await resolveGrouping(
+      teamChanged ? changes.team : task.team,
+      teamChanged ? {} : task,
+      changes
+    );
+    if (grouping.error) {
+      return taskError(400, grouping.error);
+    }
+    Object.assign(changes, grouping.values);
+  }
+
+  // Labels are the team's own; a task moving teams keeps those the new team shares by name
+  if (changes.labels !== undefined) {
+    const labelCheck = await checkLabels(changes.labels, teamChanged ? changes.team : task.team);
+    if (labelCheck.error) {
+      return taskError(400, labelCheck.error);
+    }
+    changes.labels = labelCheck.labels;
+  } else if (teamChanged && task.labels?.length) {
+    changes.labels = await carryLabels(task.labels, changes.team);
+  }
+
+  // Validate the status change against the workflow of the task's team
+  const workflow = await loadWorkflow(teamChanged ? changes.team : task.team);
+
+  if (changes.status !== undefined) {
+    if (!workflow.statuses.includes(changes.status)) {
+      return taskError(400, `Invalid status. Allowed statuses: ${workflow.statuses.join(', ')}`);
+    }
+
+    if (!teamChanged && !canTransition(workflow, task.status, changes.status)) {
+      return taskError(400, `Cannot move task from "${task.status}" to "${changes.status}"`);
+    }
+  } else if (!workflow.statuses.includes(task.status)) {
+    // The new team's workflow has no such status, so the task starts over
+    changes.status = initialStatus(workflow);
+  }
+
+  // Can't start or finish work while a blocking task is still open
+  if (
+    changes.status !== undefined &&
+    changes.status !== task.status &&
+    isBlockedMove(workflow, changes.status)
+  ) {
+    const openBlockers = await findOpenBlockers(task);
+    if (openBlockers.length > 0) {
+      return taskError(400, `Task is blocked by ${openBlockers.length} open task(s)`, {
+        blockedBy: openBlockers
+      });
+    }
+  }
+
+  const { recurrence, assignedTo, assignees, ...updates } = changes;
+  const unset = {};
+
+  // A task entering another board column goes to its bottom unless placed
+  const statusChanged = updates.status !== undefined && updates.status !== task.status;
+  if (position.rank) {
+    updates.rank = position.rank;
+  } else if (statusChanged || teamChanged) {
+    updates.rank = await appendRank(
+      { team: teamChanged ? changes.team : task.team, createdBy: task.createdBy },
+      updates.status !== undefined ? updates.status : task.status
+    );
+  }
+
+  // A lone assignedTo replaces every assignee, as it did before multiple assignees
+  if (assignedTo !== undefined || assignees !== undefined) {
+    const assigneeIds = collectAssignees(assignedTo, assignees);
+    if (!(await usersExist(assigneeIds))) {
+      return taskError(404, 'Assigned user not found');
+    }
+
+    updates.assignees = assigneeIds;
+    if (assigneeIds.length > 0) {
+      updates.assignedTo = assigneeIds[0];
+    } else {
+      unset.assignedTo = 1;
+    }
+  }
+
+  // A new due date or finishing the task lifts the overdue mark; the
+  // scheduler sets it again if it still applies
+  if (updates.dueDate !== undefined || (statusChanged && isDoneStatus(workflow, updates.status))) {
+    updates.overdue = false;
+  }
+
+  // Keep completedAt in step with moves into and out of done statuses
+  if (statusChanged) {
+    if (isDoneStatus(workflow, updates.status)) {
+      updates.completedAt = Date.now();
+    } else {
+      unset.completedAt = 1;
+    }
+  }
+
+  // Setting a rule keeps the task's place in its series; an empty rule stops recurring
+  if (recurrence !== undefined) {
+    if (!recurrence) {
+      unset.recurrence = 1;
+    } else {
+      if (!(updates.dueDate || task.dueDate)) {
+        return taskError(400, 'Recurring tasks require a due date');
+      }
+
+      try {
+        updates['recurrence.rule'] = formatRule(parseRule(recurrence));
+        updates['recurrence.occurrence'] = task.recurrence?.occurrence || 1;
+      } catch (error) {
+        return taskError(400, `Invalid recurrence rule: ${error.message}`);
+      }
+    }
+  }
+
+  if (Object.keys(unset).length > 0) {
+    updates.$unset = unset;
+  }
+
+  // Only write over the version the checks above ran against
+  const updatedTask = await Task.findOneAndUpdate({ _id: task._id, __v: task.__v }, updates, {
+    new: true,
+    runValidators: true
+  })
+    .populate('createdBy', 'name email')
+    .populate('assignedTo', 'name email')
+    .populate('assignees', 'name email')
+    .populate('team', 'name');
+
+  if (!updatedTask) {
+    return taskError(412, STALE_MESSAGE);
+  }
+
+  // Record one history entry per field that actually changed
+  const fieldChanges = diffFields(task, updatedTask, [
+    ...Object.keys(updates).filter(field => !field.startsWith('$') && !['rank', 'overdue'].includes(field)),
+    ...Object.keys(unset)
+  ]);
+
+  if (fieldChanges.length > 0) {
+    await recordActivity(task._id, user.id, 'updated', fieldChanges);
+  }
+
+  return { task: updatedTask };
+};
+
+/**
+ * Rank that puts `task` before the `before` task and/or after the `after`
+ * task of a column, or at its bottom when neither is given.
+ * Resolves to { rank } or { error }.
+ */
+const rankAmongNeighbours = (column, task, before, after) => {
+  const others = column.filter(item => item.id !== task.id);
+  const indexOf = (id) => others.findIndex(item => item.id === String(id));
+
+  if ([before, after].some(id => id && String(id) === task.id)) {
+    return taskError(400, 'A task cannot be placed next to itself');
+  }
+
+  const beforeIndex = before ? indexOf(before) : others.length;
+  const afterIndex = after ? indexOf(after) : beforeIndex - 1;
+
+  if (beforeIndex === -1 || (after && afterIndex === -1)) {
+    return taskError(400, 'Neighbouring tasks must be in the target column of the same team');
+  }
+
+  if (before && after && afterIndex >= beforeIndex) {
+    return taskError(400, 'The "after" task must come before the "before" task');
+  }
+
+  // A lone neighbour takes its other bound from the column
+  const high = before ? others[beforeIndex].rank : others[afterIndex + 1]?.rank || null;
+  const low = afterIndex >= 0 ? others[afterIndex].rank : null;
+
+  return { rank: rankBetween(low, high) };
+};
+
+/**
+ * Work out a task's rank in a column for a move. Columns holding tasks
+ * without a rank or sharing one (e.g. from simultaneous creates), or whose
+ * ranks have grown too long, are rebalanced first.
+ * Resolves to { rank, rebalanced } or { error }.
+ */
+const placeInColumn = async (task, status, { before, after }) => {
+  if ([before, after].some(id => id && !mongoose.isValidObjectId(id))) {
+    return taskError(400, 'Invalid neighbouring task ID');
+  }
+
+  let column = await findColumn(task, status).select('rank');
+  let rebalanced = false;
+
+  if (column.some((item, index) => !item.rank || (index > 0 && item.rank <= column[index - 1].rank))) {
+    column = await rebalanceColumn(task, status);
+    rebalanced = true;
+  }
+
+  let placement = rankAmongNeighbours(column, task, before, after);
+
+  if (placement.rank && placement.rank.length > MAX_RANK_LENGTH) {
+    column = await rebalanceColumn(task, status);
+    rebalanced = true;
+    placement = rankAmongNeighbours(column, task, before, after);
+  }
+
+  return { ...placement, rebalanced };
+};
+
+const BULK_LIMIT = 500;
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+// Field changes for each bulk action, built per task so tag edits keep existing tags
+const bulkChanges = {
+  status: (value) => ({ status: value }),
+  priority: (value) => ({ priority: value }),
+  assignee: (value) => ({ assignedTo: value || null }),
+  team: (value) => ({ team: value || null }),
+  sprint: (value) => ({ sprint: value || null }),
+  addTags: (value, task) => ({ tags: [...new Set([...task.tags, ...toList(value)])] }),
+  removeTags: (value, task) => ({ tags: task.tags.filter(tag => !toList(value).includes(tag)) }),
+  addLabels: (value, task) => ({ labels: [...task.labels.map(String), ...toList(value)] }),
+  removeLabels: (value, task) => ({
+    labels: task.labels.map(String).filter(label => !toList(value).map(String).includes(label))
+  })
+};
+
+/**
+ * Move a task and its subtasks to the trash on behalf of a user.
+ * Resolves to { trashed } with the IDs of every task trashed, or { error }.
+ */
+const removeTask = async (task, user) => {
+  // Check if user is creator or admin
+  if (!(await canDeleteTask(task, user))) {
+    return taskError(403, 'Not authorized to delete this task');
+  }
+
+  // Subtasks share the deletion time so a restore brings them back together.
+  // Dependency links stay in place; trashed blockers no longer block.
+  const descendants = await Task.findDescendants(task._id);
+  const trashed = [task._id, ...descendants.map(d => d._id)];
+
+  await Task.updateMany(
+    { _id: { $in: trashed } },
+    { deletedAt: new Date(), deletedBy: user.id }
+  );
+
+  await recordActivity(task._id, user.id, 'deleted');
+
+  return { trashed: trashed.map(String) };
+};
+
+// Trashed tasks deleted at the same moment below a task, i.e. its subtasks
+// that went to the trash with it
+const findTrashedDescendants = async (task) => {
+  const found = [];
+  let frontier = [task._id];
+
+  while (frontier.length) {
+    const children = await Task.find({
+      parent: { $in: frontier },
+      deletedAt: task.deletedAt
+    }).select('_id');
+
+    found.push(...children);
+    frontier = children.map(child => child._id);
+  }
+
+  return found;
+};
+
+/**
+ * @desc    Create a new task
+ * @route   POST /api/tasks
+ * @access  Private
+ */
+exports.createTask = async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      dueDate,
+      estimate,
+      assignedTo,
+      assignees,
+      team,
+      priority,
+      tags,
+      parent,
+      recurrence,
+      status,
+      customFields,
+      sprint,
+      storyPoints,
+      project,
+      milestone,
+      labels
+    } = req.body;
+
+    // Recurring tasks need a valid rule and a due date to anchor the series
+    let recurrenceRule;
+    if (recurrence) {
+      if (!dueDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Recurring tasks require a due date'
+        });
+      }
+
+      try {
+        recurrenceRule = formatRule(parseRule(recurrence));
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid recurrence rule: ${error.message}`
+        });
+      }
+    }
+
+    // Verify assigned users exist if provided
+    const assigneeIds = collectAssignees(assignedTo, assignees);
+    if (!(await usersExist(assigneeIds))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assigned user not found'
+      });
+    }
+
+    // Verify team exists if provided
+    let teamDoc = null;
+    if (team) {
+      teamDoc = await Team.findById(team);
+      if (!teamDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+
+      if (!canViewTeam(teamDoc, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to add tasks to this team'
+        });
+      }
+    }
+
+    // New tasks start in the workflow's initial status unless another is given
+    const workflow = resolveWorkflow(teamDoc);
+    if (status && !workflow.statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed statuses: ${workflow.statuses.join(', ')}`
+      });
+    }
+
+    // Custom field values must fit the team's field definitions
+    const custom = resolveCustomValues(teamDoc, {}, customFields || {});
+    if (custom.error) {
+      return res.status(400).json({
+        success: false,
+        message: custom.error
+      });
+    }
+
+    // Only open sprints of the task's team can take it
+    if (sprint) {
+      const sprintError = await checkSprintPlanning(sprint, team);
+      if (sprintError) {
+        return res.status(400).json({
+          success: false,
+          message: sprintError
+        });
+      }
+    }
+
+    // Projects and milestones must be the team's own
+    const grouping = await resolveGrouping(team, {}, { project, milestone });
+    if (grouping.error) {
+      return res.status(400).json({
+        success: false,
+        message: grouping.error
+      });
+    }
+
+    const labelCheck = await checkLabels(labels, team);
+    if (labelCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: labelCheck.error
+      });
+    }
+
+    // Verify parent task exists if provided
+    if (parent) {
+      const parentTask = await Task.findById(parent);
+      if (!parentTask) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent task not found'
+        });
+      }
+
+      if (!(await canViewTask(parentTask, req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access the parent task'
+        });
+      }
+    }
+
+    const taskStatus = status || initialStatus(workflow);
+
+    const task = await Task.create({
+      title,
+      description,
+      status: taskStatus,
+      rank: await appendRank({ team, createdBy: req.user.id }, taskStatus),
+      completedAt: isDoneStatus(workflow, status) ? Date.now() : undefined,
+      dueDate,
+      estimate,
+      assignedTo: assigneeIds[0],
+      assignees: assigneeIds,
+      team,
+      priority,
+      tags,
+      labels: labelCheck.labels,
+      parent,
+      recurrence: recurrenceRule ? { rule: recurrenceRule, occurrence: 1 } : undefined,
+      customFields: custom.values,
+      sprint: sprint || null,
+      storyPoints,
+      project: grouping.values.project,
+      milestone: grouping.values.milestone,
+      createdBy: req.user.id
+    });
+
+    await recordActivity(task._id, req.user.id, 'created');
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('createdBy', 'name email')
+      .populate('assignedTo', 'name email')
+      .populate('assignees', 'name email')
+      .populate('team', 'name');
+
+    res.status(201).json({
+      success: true,
+      data: populatedTask
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a task from a template
+ * @route   POST /api/tasks/from-template/:templateId
+ * @access  Private
+ */
+exports.createTaskFromTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (!(await canUseShared(template, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to use this template'
+      });
+    }
+
+    const { values, startDate, ...overrides } = req.body || {};
+
+    const filled = fillTemplate(template, values);
+    if (filled.missing) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing values for placeholders: ${filled.missing.join(', ')}`,
+        missing: filled.missing
+      });
+    }
+
+    // The due offset counts from startDate, or from now
+    const start = startDate ? new Date(startDate) : new Date();
+    if (isNaN(start.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start date'
+      });
+    }
+
+    // Anything else in the body overrides the template, extra tags are added
+    req.body = {
+      ...overrides,
+      title: filled.title,
+      description: filled.description,
+      priority: overrides.priority || template.priority,
+      tags: [...new Set([...template.tags, ...toList(overrides.tags)])],
+      dueDate: overrides.dueDate || templateDueDate(template, start),
+      team: overrides.team === undefined ? template.team : overrides.team
+    };
+
+    return exports.createTask(req, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get all tasks (with filtering, sorting, searching)
+ * @route   GET /api/tasks
+ * @access  Private
+ */
+exports.getTasks = async (req, res) => {
+  try {
+    // Build query
+    const query = await buildTaskQuery(req.query, req.user);
+
+    const result = await paginateTasks(query, req.query);
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get tasks assigned to me
+ * @route   GET /api/tasks/my-tasks
+ * @access  Private
+ */
+exports.getMyTasks = async (req, res) => {
+  try {
+    const { status, sortBy = 'createdAt', order = 'desc', limit, after } = req.query;
+
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot sort by "${sortBy}". Sortable fields: ${SORTABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    const query = Task.assignedToQuery(req.user.id);
+
+    if (status) {
+      query.status = status;
+    }
+
+    // Assigned tasks of teams the user has left stay out
+    const { items, nextCursor } = await fetchPage(
+      (filter) => Task.find(filter)
+        .populate('createdBy', 'name email')
+        .populate('team', 'name'),
+      await scopeTaskQuery(query, req.user),
+      { sortBy, order, limit: parseLimit(limit, 20), after }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      nextCursor,
+      data: items
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get tasks in the trash
+ * @route   GET /api/tasks/trash
+ * @access  Private
+ */
+exports.getTrash = async (req, res) => {
+  try {
+    const { limit, after } = req.query;
+
+    // Users see what they created or deleted; admins see the whole trash
+    const query = { deletedAt: { $ne: null } };
+
+    if (!isAdmin(req.user)) {
+      query.$or = [{ createdBy: req.user.id }, { deletedBy: req.user.id }];
+    }
+
+    const { items, nextCursor } = await fetchPage(
+      (filter) => Task.find(filter)
+        .populate('createdBy', 'name email')
+        .populate('deletedBy', 'name email')
+        .populate('team', 'name'),
+      await scopeTaskQuery(query, req.user),
+      { sortBy: 'deletedAt', order: 'desc', limit: parseLimit(limit, 20), after }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      nextCursor,
+      data: items.map(task => ({ ...task.toObject(), purgeAt: purgeDate(task.deletedAt) }))
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Restore a task from the trash
+ * @route   POST /api/tasks/:id/restore
+ * @access  Private
+ */
+exports.restoreTask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    // Check if user is creator, the user who deleted it or admin
+    if (!(await canRestoreTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to restore this task'
+      });
+    }
+
+    // A subtask can't come back under a parent that is still in the trash
+    if (task.parent && await Task.exists({ _id: task.parent, deletedAt: { $ne: null } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restore the parent task first'
+      });
+    }
+
+    const descendants = await findTrashedDescendants(task);
+
+    await Task.updateMany(
+      { _id: { $in: [task._id, ...descendants.map(d => d._id)] }, deletedAt: { $ne: null } },
+      { $unset: { deletedAt: 1, deletedBy: 1 } }
+    );
+
+    await recordActivity(task._id, req.user.id, 'restored');
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('createdBy', 'name email')
+      .populate('assignedTo', 'name email')
+      .populate('assignees', 'name email')
+      .populate('team', 'name');
+
+    res.status(200).json({
+      success: true,
+      restored: 1 + descendants.length,
+      data: populatedTask
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single task
+ * @route   GET /api/tasks/:id
+ * @access  Private
+ */
+exports.getTask = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('assignedTo', 'name email')
+      .populate('assignees', 'name email')
+      .populate('watchers', 'name email')
+      .populate('team', 'name')
+      .populate({
+        path: 'comments',
+        populate: { path: 'author', select: 'name email' }
+      })
+      .populate({
+        path: 'attachments',
+        populate: { path: 'uploadedBy', select: 'name email' }
+      });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    // Subtasks the user can't see are left out, with everything below them
+    const { canSee } = await loadTaskVisibility(req.user);
+    const descendants = (await Task.findDescendants(task._id)).filter(canSee);
+    const isTaskDone = await loadDoneCheck(descendants);
+    const { subtasks, progress } = buildSubtaskTree(task._id, descendants, isTaskDone);
+
+    const body = {
+      success: true,
+      data: { ...task.toObject(), subtasks, progress }
+    };
+
+    // The tag covers the comments, attachments and subtasks shown with the task
+    setEtag(res, task, body);
+    if (isNotModified(req, task, body)) {
+      return res.status(304).end();
+    }
+
+    res.status(200).json(body);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update task
+ * @route   PUT /api/tasks/:id
+ * @access  Private
+ */
+exports.updateTask = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Outsiders learn nothing, not even through a failed If-Match
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    // If-Match guards against overwriting changes the client hasn't seen
+    if (isStale(req, task)) {
+      return sendStaleTask(res, task._id);
+    }
+
+    const result = await applyTaskUpdate(task, req.body, req.user);
+
+    if (result.error) {
+      return sendWriteError(res, task._id, result.error);
+    }
+
+    setEtag(res, result.task);
+    res.status(200).json({
+      success: true,
+      data: result.task
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Move task within its board, optionally to another status column
+ * @route   PUT /api/tasks/:id/move
+ * @access  Private
+ */
+exports.moveTask = async (req, res) => {
+  try {
+    let task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Check before placing it, which can rebalance the column
+    if (!(await canEditTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (isStale(req, task)) {
+      return sendStaleTask(res, task._id);
+    }
+
+    const { status, before, after } = req.body || {};
+    const targetStatus = status !== undefined ? status : task.status;
+
+    const workflow = await loadWorkflow(task.team);
+    if (!workflow.statuses.includes(targetStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed statuses: ${workflow.statuses.join(', ')}`
+      });
+    }
+
+    const placement = await placeInColumn(task, targetStatus, { before, after });
+    if (placement.error) {
+      return sendTaskError(res, placement.error);
+    }
+
+    // Rebalancing rewrites the ranks, and with them the versions, of the column
+    if (placement.rebalanced) {
+      task = await Task.findById(task._id);
+    }
+
+    const result = await applyTaskUpdate(
+      task,
+      status !== undefined ? { status } : {},
+      req.user,
+      { rank: placement.rank }
+    );
+
+    if (result.error) {
+      return sendWriteError(res, task._id, result.error);
+    }
+
+    setEtag(res, result.task);
+    res.status(200).json({
+      success: true,
+      data: result.task
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Move task to another team, unassigning people outside it
+ * @route   POST /api/tasks/:id/move
+ * @access  Private
+ */
+exports.moveTaskToTeam = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const { team } = req.body;
+
+    if (task.team && task.team.toString() === team) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is already in this team'
+      });
+    }
+
+    // The mover has to be able to change the task and belong to the team it joins
+    if (!(await canEditTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (isStale(req, task)) {
+      return sendStaleTask(res, task._id);
+    }
+
+    const target = await loadTeamAccess(team, req.user);
+
+    if (!target.team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!target.canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to move tasks into this team'
+      });
+    }
+
+    // Assignees who aren't members of the new team come off the task
+    const assigneeIds = collectAssignees(task.assignedTo, task.assignees);
+    const isMember = (id) => isTeamMember(target.team, id);
+    const unassigned = assigneeIds.filter(id => !isMember(id));
+
+    const changes = { team };
+    if (unassigned.length > 0) {
+      changes.assignees = assigneeIds.filter(isMember);
+    }
+
+    const result = await applyTaskUpdate(task, changes, req.user);
+
+    if (result.error) {
+      return sendWriteError(res, task._id, result.error);
+    }
+
+    setEtag(res, result.task);
+    res.status(200).json({
+      success: true,
+      unassigned,
+      data: result.task
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Clone task, optionally with its tags, comments, attachments and subtasks
+ * @route   POST /api/tasks/:id/clone
+ * @access  Private
+ */
+exports.cloneTask = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Anyone who can see the task may copy it
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to clone this task'
+      });
+    }
+
+    const { title, tags = true, comments = false, attachments = false, subtasks = false } = req.body || {};
+
+    const { task: clone, count } = await duplicateTask(task, req.user, {
+      title,
+      tags,
+      comments,
+      attachments,
+      subtasks
+    });
+
+    const populatedTask = await Task.findById(clone._id)
+      .populate('createdBy', 'name email')
+      .populate('assignedTo', 'name email')
+      .populate('assignees', 'name email')
+      .populate('team', 'name');
+
+    res.status(201).json({
+      success: true,
+      count,
+      data: populatedTask
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Mark task as completed
+ * @route   PUT /api/tasks/:id/complete
+ * @access  Private
+ */
+exports.completeTask = async (req, res) => {
+  try {
+    let task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Check if user is assigned to task
+    if (!(await canEditTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to complete this task'
+      });
+    }
+
+    if (isStale(req, task)) {
+      return sendStaleTask(res, task._id);
+    }
+
+    // Completing moves the task to the first done status of its workflow
+    const workflow = await loadWorkflow(task.team);
+    const doneStatus = completionStatus(workflow);
+
+    if (!canTransition(workflow, task.status, doneStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move task from "${task.status}" to "${doneStatus}"`
+      });
+    }
+
+    const openBlockers = await findOpenBlockers(task);
+    if (openBlockers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Task is blocked by ${openBlockers.length} open task(s)`,
+        blockedBy: openBlockers
+      });
+    }
+
+    // Refuse to complete while subtasks are open, unless asked to cascade
+    const descendants = await Task.findDescendants(task._id);
+    const isTaskDone = await loadDoneCheck(descendants);
+    const openSubtasks = descendants.filter(d => !isTaskDone(d));
+
+    if (openSubtasks.length > 0) {
+      if (req.query.cascade !== 'true') {
+        return res.status(400).json({
+          success: false,
+          message: `Task has ${openSubtasks.length} open subtask(s). Complete them first or pass cascade=true`
+        });
+      }
+
+      // Each subtask closes into the done status of its own team's workflow
+      await Promise.all(openSubtasks.map(async subtask => {
+        const subtaskStatus = completionStatus(await loadWorkflow(subtask.team));
+
+        await Task.updateOne(
+          { _id: subtask._id },
+          { status: subtaskStatus, completedAt: Date.now(), overdue: false, updatedAt: Date.now() }
+        );
+        await recordActivity(subtask._id, req.user.id, 'completed', [
+          { field: 'status', oldValue: subtask.status, newValue: subtaskStatus }
+        ]);
+      }));
+    }
+
+    const previousStatus = task.status;
+    const wasCompleted = previousStatus === doneStatus;
+
+    task.status = doneStatus;
+    task.completedAt = Date.now();
+    task.overdue = false;
+    await task.save();
+
+    if (!wasCompleted) {
+      await recordActivity(task._id, req.user.id, 'completed', [
+        { field: 'status', oldValue: previousStatus, newValue: doneStatus }
+      ]);
+    }
+
+    // Completing an occurrence of a recurring task schedules the next one
+    let nextTask = null;
+    if (task.recurrence?.rule && task.dueDate && !wasCompleted) {
+      const occurrence = task.recurrence.occurrence || 1;
+      const nextDueDate = nextOccurrence(parseRule(task.recurrence.rule), task.dueDate, occurrence);
+
+      if (nextDueDate) {
+        nextTask = await Task.create({
+          title: task.title,
+          description: task.description,
+          status: initialStatus(workflow),
+          rank: await appendRank(task, initialStatus(workflow)),
+          priority: task.priority,
+          dueDate: nextDueDate,
+          estimate: task.estimate,
+          storyPoints: task.storyPoints,
+          assignedTo: task.assignedTo,
+          assignees: task.assignees,
+          watchers: task.watchers,
+          team: task.team,
+          project: task.project,
+          parent: task.parent,
+          tags: task.tags,
+          labels: task.labels,
+          customFields: task.customFields,
+          recurrence: { rule: task.recurrence.rule, occurrence: occurrence + 1 },
+          createdBy: task.createdBy
+        });
+
+        await recordActivity(nextTask._id, req.user.id, 'created');
+      }
+    }
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('createdBy', 'name email')
+      .populate('assignedTo', 'name email')
+      .populate('assignees', 'name email')
+      .populate('team', 'name');
+
+    setEtag(res, populatedTask);
+    res.status(200).json({
+      success: true,
+      data: populatedTask,
+      nextOccurrence: nextTask
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete task
+ * @route   DELETE /api/tasks/:id
+ * @access  Private
+ */
+exports.deleteTask = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Only those who may delete the task learn it has changed
+    if (isStale(req, task) && await canDeleteTask(task, req.user)) {
+      return sendStaleTask(res, task._id);
+    }
+
+    const result = await removeTask(task, req.user);
+
+    if (result.error) {
+      return sendTaskError(res, result.error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Task deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a subtask under a task
+ * @route   POST /api/tasks/:id/subtasks
+ * @access  Private
+ */
+exports.createSubtask = async (req, res) => {
+  try {
+    const parentTask = await Task.findById(req.params.id);
+
+    if (!parentTask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Check if user is creator or assigned user of the parent
+    if (!(await canEditTask(parentTask, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add subtasks to this task'
+      });
+    }
+
+    // Subtasks live in the same team as their parent unless told otherwise
+    req.body.parent = parentTask._id;
+    req.body.team = req.body.team || parentTask.team;
+
+    return exports.createTask(req, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the subtask tree of a task
+ * @route   GET /api/tasks/:id/subtasks
+ * @access  Private
+ */
+exports.getSubtasks = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    // Subtasks the user can't see are left out, with everything below them
+    const { canSee } = await loadTaskVisibility(req.user);
+    const descendants = (await Task.findDescendants(task._id)).filter(canSee);
+    const isTaskDone = await loadDoneCheck(descendants);
+    const { subtasks, progress } = buildSubtaskTree(task._id, descendants, isTaskDone);
+
+    res.status(200).json({
+      success: true,
+      count: subtasks.length,
+      progress,
+      data: subtasks
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
 
 /**
- * @desc    Create a new task
- * @route   POST /api/tasks
+ * @desc    Get tasks blocking and blocked by a task
+ * @route   GET /api/tasks/:id/dependencies
  * @access  Private
  */
-exports.createTask = async (req, res) => {
+exports.getDependencies = async (req, res) => {
   try {
-    const { title, description, dueDate, assignedTo, team, priority, tags } = req.body;
+    const task = await Task.findById(req.params.id)
+      .populate('blockedBy', 'title status priority dueDate team');
 
-    // Verify assigned user exists if provided
-    if (assignedTo) {
-      const assignedUser = await User.findById(assignedTo);
-      if (!assignedUser) {
-        return res.status(404).json({
-          success: false,
-          message: 'Assigned user not found'
-        });
-      }
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
     }
 
-    // Verify team exists if provided
-    if (team) {
-      const teamDoc = await Team.findById(team);
-      if (!teamDoc) {
-        return res.status(404).json({
-          success: false,
-          message: 'Team not found'
-        });
-      }
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
     }
 
-    const task = await Task.create({
-      title,
-      description,
-      dueDate,
-      assignedTo,
-      team,
-      priority,
-      tags,
-      createdBy: req.user.id
-    });
+    const blocks = await Task.find(await scopeTaskQuery({ blockedBy: task._id }, req.user))
+      .select('title status priority dueDate team');
+    const isTaskDone = await loadDoneCheck(task.blockedBy);
 
-    const populatedTask = await Task.findById(task._id)
-      .populate('createdBy', 'name email')
-      .populate('assignedTo', 'name email')
-      .populate('team', 'name');
+    // Blockers the user can't see still count, but aren't listed
+    const visibleBlockers = new Set((await Task.distinct('_id', await scopeTaskQuery(
+      { _id: { $in: task.blockedBy.map(blocker => blocker._id) } },
+      req.user
+    ))).map(String));
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      data: populatedTask
+      data: {
+        blockedBy: task.blockedBy.filter(blocker => visibleBlockers.has(blocker.id)),
+        blocks,
+        isBlocked: task.blockedBy.some(blocker => !isTaskDone(blocker))
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -62,80 +1533,85 @@ exports.createTask = async (req, res) => {
 };
 
 /**
- * @desc    Get all tasks (with filtering, sorting, searching)
- * @route   GET /api/tasks
+ * @desc    Mark a task as blocked by another task
+ * @route   POST /api/tasks/:id/dependencies
  * @access  Private
  */
-exports.getTasks = async (req, res) => {
+exports.addDependency = async (req, res) => {
   try {
-    const {
-      status,
-      priority,
-      assignedTo,
-      createdBy,
-      team,
-      search,
-      sortBy = 'createdAt',
-      order = 'desc',
-      page = 1,
-      limit = 10
-    } = req.query;
+    const { taskId } = req.body;
 
-    // Build query
-    const query = {};
+    const task = await Task.findById(req.params.id);
 
-    // Filter by status
-    if (status) {
-      query.status = status;
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Check if user is creator or assigned user
+    if (!(await canEditTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
     }
 
-    // Filter by priority
-    if (priority) {
-      query.priority = priority;
+    if (isStale(req, task)) {
+      return sendStaleTask(res, task._id);
     }
 
-    // Filter by assigned user
-    if (assignedTo) {
-      query.assignedTo = assignedTo;
+    const blocker = await Task.findById(taskId);
+    if (!blocker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocking task not found'
+      });
     }
 
-    // Filter by creator
-    if (createdBy) {
-      query.createdBy = createdBy;
+    if (!(await canViewTask(blocker, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access the blocking task'
+      });
     }
 
-    // Filter by team
-    if (team) {
-      query.team = team;
+    if (blocker.id === task.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot block itself'
+      });
+    }
+
+    if (task.blockedBy.some(id => id.toString() === blocker.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is already blocked by this task'
+      });
     }
 
-    // Search in title and description
-    if (search) {
-      query.$text = { $search: search };
+    // Reject the link if the blocker already waits on this task somewhere down its chain
+    if (await Task.isBlockedBy(blocker._id, task._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adding this dependency would create a circular chain'
+      });
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sortOrder = order === 'desc' ? -1 : 1;
+    task.blockedBy.push(blocker._id);
+    await task.save();
 
-    // Execute query
-    const tasks = await Task.find(query)
-      .populate('createdBy', 'name email')
-      .populate('assignedTo', 'name email')
-      .populate('team', 'name')
-      .sort({ [sortBy]: sortOrder })
-      .skip(skip)
-      .limit(parseInt(limit));
+    await recordActivity(task._id, req.user.id, 'dependency-added', [
+      { field: 'blockedBy', oldValue: null, newValue: blocker._id }
+    ]);
 
-    const total = await Task.countDocuments(query);
+    const populatedTask = await Task.findById(task._id)
+      .populate('blockedBy', 'title status priority dueDate');
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      count: tasks.length,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / parseInt(limit)),
-      data: tasks
+      data: populatedTask.blockedBy
     });
   } catch (error) {
     res.status(500).json({
@@ -146,31 +1622,52 @@ exports.getTasks = async (req, res) => {
 };
 
 /**
- * @desc    Get tasks assigned to me
- * @route   GET /api/tasks/my-tasks
+ * @desc    Remove a blocking task from a task
+ * @route   DELETE /api/tasks/:id/dependencies/:blockerId
  * @access  Private
  */
-exports.getMyTasks = async (req, res) => {
+exports.removeDependency = async (req, res) => {
   try {
-    const { status, sortBy = 'createdAt', order = 'desc' } = req.query;
+    const task = await Task.findById(req.params.id);
 
-    const query = { assignedTo: req.user.id };
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
 
-    if (status) {
-      query.status = status;
+    // Check if user is creator or assigned user
+    if (!(await canEditTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
     }
 
-    const sortOrder = order === 'desc' ? -1 : 1;
+    if (isStale(req, task)) {
+      return sendStaleTask(res, task._id);
+    }
 
-    const tasks = await Task.find(query)
-      .populate('createdBy', 'name email')
-      .populate('team', 'name')
-      .sort({ [sortBy]: sortOrder });
+    if (!task.blockedBy.some(id => id.toString() === req.params.blockerId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    task.blockedBy = task.blockedBy.filter(
+      id => id.toString() !== req.params.blockerId
+    );
+    await task.save();
+
+    await recordActivity(task._id, req.user.id, 'dependency-removed', [
+      { field: 'blockedBy', oldValue: req.params.blockerId, newValue: null }
+    ]);
 
     res.status(200).json({
       success: true,
-      count: tasks.length,
-      data: tasks
+      message: 'Dependency removed successfully'
     });
   } catch (error) {
     res.status(500).json({
@@ -181,24 +1678,15 @@ exports.getMyTasks = async (req, res) => {
 };
 
 /**
- * @desc    Get single task
- * @route   GET /api/tasks/:id
+ * @desc    Preview upcoming occurrences of a recurring task
+ * @route   GET /api/tasks/:id/occurrences
  * @access  Private
  */
-exports.getTask = async (req, res) => {
+exports.getOccurrences = async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id)
-      .populate('createdBy', 'name email')
-      .populate('assignedTo', 'name email')
-      .populate('team', 'name')
-      .populate({
-        path: 'comments',
-        populate: { path: 'author', select: 'name email' }
-      })
-      .populate({
-        path: 'attachments',
-        populate: { path: 'uploadedBy', select: 'name email' }
-      });
+    const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 50);
+
+    const task = await Task.findById(req.params.id);
 
     if (!task) {
       return res.status(404).json({
@@ -207,9 +1695,32 @@ exports.getTask = async (req, res) => {
       });
     }
 
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    if (!task.recurrence?.rule || !task.dueDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is not recurring'
+      });
+    }
+
+    const occurrences = upcomingOccurrences(
+      parseRule(task.recurrence.rule),
+      task.dueDate,
+      count,
+      task.recurrence.occurrence || 1
+    );
+
     res.status(200).json({
       success: true,
-      data: task
+      rule: task.recurrence.rule,
+      count: occurrences.length,
+      data: occurrences
     });
   } catch (error) {
     res.status(500).json({
@@ -220,13 +1731,15 @@ exports.getTask = async (req, res) => {
 };
 
 /**
- * @desc    Update task
- * @route   PUT /api/tasks/:id
+ * @desc    Get the change history of a task
+ * @route   GET /api/tasks/:id/activity
  * @access  Private
  */
-exports.updateTask = async (req, res) => {
+exports.getActivity = async (req, res) => {
   try {
-    let task = await Task.findById(req.params.id);
+    const { page = 1, limit = 20 } = req.query;
+
+    const task = await Task.findById(req.params.id);
 
     if (!task) {
       return res.status(404).json({
@@ -235,29 +1748,30 @@ exports.updateTask = async (req, res) => {
       });
     }
 
-    // Check if user is creator or assigned user
-    if (
-      task.createdBy.toString() !== req.user.id &&
-      task.assignedTo?.toString() !== req.user.id &&
-      req.user.role !== 'admin'
-    ) {
+    if (!(await canViewTask(task, req.user))) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to update this task'
+        message: 'Not authorized to access this task'
       });
     }
 
-    task = await Task.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    })
-      .populate('createdBy', 'name email')
-      .populate('assignedTo', 'name email')
-      .populate('team', 'name');
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const activity = await Activity.find({ task: task._id })
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Activity.countDocuments({ task: task._id });
 
     res.status(200).json({
       success: true,
-      data: task
+      count: activity.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      data: activity
     });
   } catch (error) {
     res.status(500).json({
@@ -268,13 +1782,16 @@ exports.updateTask = async (req, res) => {
 };
 
 /**
- * @desc    Mark task as completed
- * @route   PUT /api/tasks/:id/complete
- * @access  Private
+ * Build a handler that adds or removes a user in one of a task's user lists.
+ * Anyone who can see a task may watch it and anyone may drop off a task;
+ * every other change needs update rights.
  */
-exports.completeTask = async (req, res) => {
+const changeTaskUsers = (field, action) => async (req, res) => {
   try {
-    let task = await Task.findById(req.params.id);
+    const userId = action === 'add' ? (req.body?.userId || req.user.id) : req.params.userId;
+    const isSelf = userId === req.user.id;
+
+    const task = await Task.findById(req.params.id);
 
     if (!task) {
       return res.status(404).json({
@@ -283,30 +1800,75 @@ exports.completeTask = async (req, res) => {
       });
     }
 
-    // Check if user is assigned to task
-    if (
-      task.assignedTo?.toString() !== req.user.id &&
-      task.createdBy.toString() !== req.user.id &&
-      req.user.role !== 'admin'
-    ) {
+    const selfServe = isSelf &&
+      (action === 'remove' || (field === 'watchers' && await canViewTask(task, req.user)));
+
+    if (!selfServe && !(await canEditTask(task, req.user))) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to complete this task'
+        message: 'Not authorized to update this task'
       });
     }
 
-    task.status = 'completed';
-    task.completedAt = Date.now();
+    if (isStale(req, task)) {
+      return sendStaleTask(res, task._id);
+    }
+
+    const before = task[field].map(id => id.toString());
+
+    // Legacy tasks may only have assignedTo set, so fold it in first
+    if (field === 'assignees' && task.assignedTo && !before.includes(task.assignedTo.toString())) {
+      before.unshift(task.assignedTo.toString());
+    }
+
+    let after;
+    if (action === 'add') {
+      if (before.includes(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: `User is already in ${field} of this task`
+        });
+      }
+
+      if (!(await usersExist([userId]))) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      after = [...before, userId];
+    } else {
+      if (!before.includes(userId)) {
+        return res.status(404).json({
+          success: false,
+          message: `User is not in ${field} of this task`
+        });
+      }
+
+      after = before.filter(id => id !== userId);
+    }
+
+    task[field] = after;
+    if (field === 'assignees') {
+      task.assignedTo = after[0];
+    }
     await task.save();
 
+    await recordActivity(task._id, req.user.id, 'updated', [
+      { field, oldValue: before, newValue: after }
+    ]);
+
     const populatedTask = await Task.findById(task._id)
-      .populate('createdBy', 'name email')
-      .populate('assignedTo', 'name email')
-      .populate('team', 'name');
+      .populate('assignees', 'name email')
+      .populate('watchers', 'name email');
 
     res.status(200).json({
       success: true,
-      data: populatedTask
+      data: {
+        assignees: populatedTask.assignees,
+        watchers: populatedTask.watchers
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -317,37 +1879,122 @@ exports.completeTask = async (req, res) => {
 };
 
 /**
- * @desc    Delete task
- * @route   DELETE /api/tasks/:id
+ * @desc    Add an assignee to a task (defaults to the current user)
+ * @route   POST /api/tasks/:id/assignees
  * @access  Private
  */
-exports.deleteTask = async (req, res) => {
+exports.addAssignee = changeTaskUsers('assignees', 'add');
+
+/**
+ * @desc    Remove an assignee from a task
+ * @route   DELETE /api/tasks/:id/assignees/:userId
+ * @access  Private
+ */
+exports.removeAssignee = changeTaskUsers('assignees', 'remove');
+
+/**
+ * @desc    Watch a task, or add another watcher
+ * @route   POST /api/tasks/:id/watchers
+ * @access  Private
+ */
+exports.addWatcher = changeTaskUsers('watchers', 'add');
+
+/**
+ * @desc    Stop watching a task, or remove another watcher
+ * @route   DELETE /api/tasks/:id/watchers/:userId
+ * @access  Private
+ */
+exports.removeWatcher = changeTaskUsers('watchers', 'remove');
+
+/**
+ * @desc    Apply one action to many tasks
+ * @route   POST /api/tasks/bulk
+ * @access  Private
+ */
+exports.bulkUpdateTasks = async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const { ids, filter, action, value } = req.body;
 
-    if (!task) {
-      return res.status(404).json({
+    if (action !== 'delete' && !('value' in req.body)) {
+      return res.status(400).json({
         success: false,
-        message: 'Task not found'
+        message: `A value is required for the ${action} action`
       });
     }
 
-    // Check if user is creator or admin
-    if (task.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
+    if (!Array.isArray(ids) && !filter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a list of task IDs or a filter'
+      });
+    }
+
+    const results = [];
+    let query;
+
+    // Select by IDs, reporting malformed ones up front, or by getTasks-style filter
+    if (Array.isArray(ids)) {
+      const validIds = ids.filter(id => mongoose.isValidObjectId(id));
+      ids.filter(id => !validIds.includes(id)).forEach(id => {
+        results.push({ id, success: false, message: 'Task not found' });
+      });
+      // Tasks the user can't see are reported as not found
+      query = await scopeTaskQuery({ _id: { $in: validIds } }, req.user);
+    } else {
+      query = await buildTaskQuery(filter, req.user);
+    }
+
+    const tasks = await Task.find(query).limit(BULK_LIMIT + 1);
+
+    if (tasks.length > BULK_LIMIT) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to delete this task'
+        message: `Bulk actions are limited to ${BULK_LIMIT} tasks at a time`
       });
     }
 
-    await task.deleteOne();
+    if (Array.isArray(ids)) {
+      const foundIds = tasks.map(task => task.id);
+      ids.filter(id => mongoose.isValidObjectId(id) && !foundIds.includes(String(id))).forEach(id => {
+        results.push({ id, success: false, message: 'Task not found' });
+      });
+    }
+
+    // Subtasks already trashed along with a parent in the batch
+    const trashed = new Set();
+
+    // Each task goes through the same checks as its single-task endpoint
+    for (const task of tasks) {
+      if (trashed.has(task.id)) {
+        results.push({ id: task.id, success: true });
+        continue;
+      }
+
+      try {
+        const result = action === 'delete'
+          ? await removeTask(task, req.user)
+          : await applyTaskUpdate(task, bulkChanges[action](value, task), req.user);
+
+        result.trashed?.forEach(id => trashed.add(id));
+        results.push(result.error
+          ? { id: task.id, success: false, message: result.error.message }
+          : { id: task.id, success: true });
+      } catch (error) {
+        results.push({ id: task.id, success: false, message: error.message });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
 
     res.status(200).json({
       success: true,
-      message: 'Task deleted successfully'
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      data: results
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
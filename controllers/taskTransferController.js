@@ -0,0 +1,266 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Team = require('../models/Team');
+const Activity = require('../models/Activity');
+const { buildTaskQuery, taskSortPath } = require('../utils/taskQuery');
+const { loadTeamAccess } = require('../utils/policy');
+const { parseCsv, formatCsvRow } = require('../utils/csv');
+const { exportRecord, csvHeader, csvCells, prepareImport } = require('../utils/taskTransfer');
+const { appendRanks } = require('../utils/rank');
+
+const EXPORT_FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { type: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { type: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const IMPORT_LIMIT = 1000;
+
+// Column mappings come as map.<CSV header>=<field> query parameters
+const MAP_PREFIX = 'map.';
+
+// Write a chunk, waiting for the client to catch up when its buffer is full.
+// Rejects if the client goes away rather than catching up.
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) {
+    throw new Error('Client closed the connection');
+  }
+  if (res.write(chunk)) {
+    return;
+  }
+
+  const waiting = new AbortController();
+  const { signal } = waiting;
+
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal }),
+      once(res, 'close', { signal }).then(() => {
+        throw new Error('Client closed the connection');
+      })
+    ]);
+  } finally {
+    waiting.abort();
+  }
+};
+
+/**
+ * @desc    Export tasks as CSV, JSON or NDJSON, filtered like GET /api/tasks
+ * @route   GET /api/tasks/export
+ * @access  Private
+ */
+exports.exportTasks = async (req, res) => {
+  let cursor;
+
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const query = await buildTaskQuery(req.query, req.user);
+    const sortPath = taskSortPath(req.query.sortBy || 'createdAt');
+    const sortOrder = req.query.order === 'asc' ? 1 : -1;
+
+    // Exports of a single team get a column per custom field
+    const { team } = req.query;
+    const teamDoc = format === 'csv' && team && mongoose.isValidObjectId(team)
+      ? await Team.findById(team).select('customFields')
+      : null;
+    const customKeys = (teamDoc?.customFields || []).map(field => field.key);
+
+    cursor = Task.find(query)
+      .populate('createdBy', 'email')
+      .populate('assignees', 'email')
+      .populate('team', 'name')
+      .populate('labels', 'name')
+      .sort({ [sortPath]: sortOrder, _id: sortOrder })
+      .cursor();
+
+    const { type, extension } = EXPORT_FORMATS[format];
+    res.status(200);
+    res.set('Content-Type', type);
+    res.set('Content-Disposition', `attachment; filename="tasks-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+
+    if (format === 'csv') {
+      await writeChunk(res, formatCsvRow(csvHeader(customKeys)));
+    } else if (format === 'json') {
+      await writeChunk(res, '[');
+    }
+
+    let first = true;
+    for await (const task of cursor) {
+      const record = exportRecord(task);
+
+      if (format === 'csv') {
+        await writeChunk(res, formatCsvRow(csvCells(record, customKeys)));
+      } else if (format === 'json') {
+        await writeChunk(res, `${first ? '' : ','}\n${JSON.stringify(record)}`);
+      } else {
+        await writeChunk(res, `${JSON.stringify(record)}\n`);
+      }
+      first = false;
+    }
+
+    if (format === 'json') {
+      await writeChunk(res, first ? ']' : '\n]');
+    }
+
+    res.end();
+  } catch (error) {
+    // Once streaming has begun, cutting the response off is the only way to tell
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await cursor?.close().catch(error => console.error(`Closing export cursor failed: ${error.message}`));
+  }
+};
+
+/**
+ * @desc    Import tasks from a CSV body, checking every row first
+ * @route   POST /api/tasks/import
+ * @access  Private
+ */
+exports.importTasks = async (req, res) => {
+  try {
+    const { team: teamId } = req.query;
+    const dryRun = String(req.query.dryRun) === 'true';
+    const skipInvalid = String(req.query.skipInvalid) === 'true';
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the CSV file as the request body with Content-Type text/csv'
+      });
+    }
+
+    // Imported tasks join the given team, which the user must belong to
+    let team = null;
+    if (teamId) {
+      if (!mongoose.isValidObjectId(teamId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid team ID'
+        });
+      }
+
+      const access = await loadTeamAccess(teamId, req.user);
+
+      if (!access.team) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+
+      if (!access.canView) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to add tasks to this team'
+        });
+      }
+
+      team = access.team;
+    }
+
+    let records;
+    try {
+      records = parseCsv(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid CSV: ${error.message}`
+      });
+    }
+
+    if (records.length - 1 > IMPORT_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `A CSV import can hold at most ${IMPORT_LIMIT} rows`
+      });
+    }
+
+    const mappedNames = Object.keys(req.query).filter(key => key.startsWith(MAP_PREFIX));
+    const mapping = mappedNames.length
+      ? Object.fromEntries(mappedNames.map(key => [key.slice(MAP_PREFIX.length), String(req.query[key])]))
+      : null;
+
+    const prepared = await prepareImport(records, { mapping, team, user: req.user });
+    if (prepared.error) {
+      return res.status(400).json({
+        success: false,
+        message: prepared.error
+      });
+    }
+
+    const { tasks, errors, ignored } = prepared;
+    const summary = {
+      rows: tasks.length + errors.length,
+      valid: tasks.length,
+      invalid: errors.length,
+      ignoredColumns: ignored,
+      errors
+    };
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        ...summary
+      });
+    }
+
+    // All or nothing, unless told to leave the invalid rows out
+    if (errors.length && !skipInvalid) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} row(s) have errors, nothing was imported`,
+        ...summary
+      });
+    }
+
+    // New tasks go to the bottom of their column, in file order
+    const byStatus = {};
+    tasks.forEach(({ task }) => {
+      byStatus[task.status] = byStatus[task.status] || [];
+      byStatus[task.status].push(task);
+    });
+    for (const [status, column] of Object.entries(byStatus)) {
+      const ranks = await appendRanks({ team: team?._id, createdBy: req.user.id }, status, column.length);
+      column.forEach((task, index) => {
+        task.rank = ranks[index];
+      });
+    }
+
+    const created = tasks.length ? await Task.insertMany(tasks.map(({ task }) => task)) : [];
+
+    if (created.length) {
+      await Activity.insertMany(created.map(task => ({ task: task._id, actor: req.user.id, action: 'created' })));
+    }
+
+    res.status(201).json({
+      success: true,
+      count: created.length,
+      skipped: errors.length,
+      ignoredColumns: ignored,
+      errors,
+      data: created.map((task, index) => ({ row: tasks[index].row, id: task.id, title: task.title }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
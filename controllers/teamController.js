@@ -1,5 +1,13 @@
 const Team = require('../models/Team');
 const User = require('../models/User');
+const Task = require('../models/Task');
+const Invitation = require('../models/Invitation');
+const { resolveWorkflow, validateWorkflow, isDoneStatus } = require('../utils/workflow');
+const { buildTaskQuery } = require('../utils/taskQuery');
+const { parseLimit } = require('../utils/cursor');
+const { setEtag, isStale, isNotModified } = require('../utils/etag');
+const { validateFieldDefinitions, clearStaleValues } = require('../utils/customFields');
+const { isOwnerOrAdmin, isTeamMember, canViewTeam, canManageTeam } = require('../utils/policy');
 
 /**
  * @desc    Create a new team
@@ -82,21 +90,25 @@ exports.getTeam = async (req, res) => {
     }
 
     // Check if user is a member
-    const isMember = team.members.some(
-      member => member.user._id.toString() === req.user.id
-    );
-
-    if (!isMember && req.user.role !== 'admin') {
+    if (!canViewTeam(team, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this team'
       });
     }
 
-    res.status(200).json({
+    const body = {
       success: true,
       data: team
-    });
+    };
+
+    // The tag covers the owner and members shown with the team
+    setEtag(res, team, body);
+    if (isNotModified(req, team, body)) {
+      return res.status(304).end();
+    }
+
+    res.status(200).json(body);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -122,27 +134,40 @@ exports.updateTeam = async (req, res) => {
     }
 
     // Check if user is owner or admin
-    const isOwnerOrAdmin = team.members.some(
-      member => 
-        member.user.toString() === req.user.id && 
-        (member.role === 'owner' || member.role === 'admin')
-    );
-
-    if (!isOwnerOrAdmin && req.user.role !== 'admin') {
+    if (!canManageTeam(team, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this team'
       });
     }
 
-    team = await Team.findByIdAndUpdate(
-      req.params.id,
+    // If-Match guards against overwriting changes the client hasn't seen,
+    // and the version condition covers writes racing this one
+    const updated = isStale(req, team) ? null : await Team.findOneAndUpdate(
+      { _id: team._id, __v: team.__v },
       { name: req.body.name, description: req.body.description },
       { new: true, runValidators: true }
     )
       .populate('owner', 'name email')
       .populate('members.user', 'name email');
 
+    if (!updated) {
+      const current = await Team.findById(team._id)
+        .populate('owner', 'name email')
+        .populate('members.user', 'name email');
+
+      if (current) {
+        setEtag(res, current);
+      }
+      return res.status(412).json({
+        success: false,
+        message: 'Team was modified by someone else. Reload it and try again',
+        data: current
+      });
+    }
+
+    team = updated;
+    setEtag(res, team);
     res.status(200).json({
       success: true,
       data: team
@@ -174,13 +199,7 @@ exports.addMember = async (req, res) => {
     }
 
     // Check if requester is owner or admin
-    const isOwnerOrAdmin = team.members.some(
-      member => 
-        member.user.toString() === req.user.id && 
-        (member.role === 'owner' || member.role === 'admin')
-    );
-
-    if (!isOwnerOrAdmin && req.user.role !== 'admin') {
+    if (!canManageTeam(team, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to add members to this team'
@@ -197,11 +216,7 @@ exports.addMember = async (req, res) => {
     }
 
     // Check if user is already a member
-    const isMember = team.members.some(
-      member => member.user.toString() === userId
-    );
-
-    if (isMember) {
+    if (isTeamMember(team, userId)) {
       return res.status(400).json({
         success: false,
         message: 'User is already a member of this team'
@@ -255,13 +270,7 @@ exports.removeMember = async (req, res) => {
     }
 
     // Check if requester is owner or admin
-    const isOwnerOrAdmin = team.members.some(
-      member => 
-        member.user.toString() === req.user.id && 
-        (member.role === 'owner' || member.role === 'admin')
-    );
-
-    if (!isOwnerOrAdmin && req.user.role !== 'admin') {
+    if (!canManageTeam(team, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to remove members from this team'
@@ -321,7 +330,7 @@ exports.deleteTeam = async (req, res) => {
     }
 
     // Check if user is owner
-    if (team.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!isOwnerOrAdmin(team.owner, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this team'
@@ -334,6 +343,8 @@ exports.deleteTeam = async (req, res) => {
       { $pull: { teams: team._id } }
     );
 
+    await Invitation.deleteMany({ team: team._id });
+
     await team.deleteOne();
 
     res.status(200).json({
@@ -347,3 +358,260 @@ exports.deleteTeam = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Get the task workflow of a team
+ * @route   GET /api/teams/:id/workflow
+ * @access  Private
+ */
+exports.getWorkflow = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Check if user is a member
+    if (!canViewTeam(team, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this team'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: resolveWorkflow(team)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the task board of a team, one ranked column per status
+ * @route   GET /api/teams/:id/board
+ * @access  Private
+ */
+exports.getBoard = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Check if user is a member
+    if (!canViewTeam(team, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this team'
+      });
+    }
+
+    // Task list filters narrow every column; the columns are the statuses
+    const { limit, status, ...filters } = req.query;
+    const query = await buildTaskQuery({ ...filters, team: team.id }, req.user);
+    const workflow = resolveWorkflow(team);
+    const columnSize = parseLimit(limit, 50);
+
+    const columns = await Promise.all(workflow.statuses.map(async (columnStatus) => {
+      const columnQuery = { ...query, status: columnStatus };
+
+      const [tasks, total] = await Promise.all([
+        Task.find(columnQuery)
+          .populate('assignees', 'name email')
+          .sort({ rank: 1, createdAt: 1, _id: 1 })
+          .limit(columnSize),
+        Task.countDocuments(columnQuery)
+      ]);
+
+      return {
+        status: columnStatus,
+        done: isDoneStatus(workflow, columnStatus),
+        total,
+        tasks
+      };
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: columns
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Replace the task workflow of a team
+ * @route   PUT /api/teams/:id/workflow
+ * @access  Private
+ */
+exports.updateWorkflow = async (req, res) => {
+  try {
+    const { statuses, doneStatuses, transitions = [] } = req.body;
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Check if user is owner or admin
+    if (!canManageTeam(team, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this team'
+      });
+    }
+
+    const error = validateWorkflow({ statuses, doneStatuses, transitions });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Existing tasks must not be left in a status the new workflow drops
+    const stranded = await Task.distinct('status', {
+      team: team._id,
+      status: { $nin: statuses }
+    });
+
+    if (stranded.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Tasks in this team still use removed statuses: ${stranded.join(', ')}`
+      });
+    }
+
+    team.workflow = { statuses, doneStatuses, transitions };
+    await team.save();
+
+    res.status(200).json({
+      success: true,
+      data: resolveWorkflow(team)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the custom task fields of a team
+ * @route   GET /api/teams/:id/fields
+ * @access  Private
+ */
+exports.getCustomFields = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Check if user is a member
+    if (!canViewTeam(team, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this team'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: team.customFields.length,
+      data: team.customFields
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Replace the custom task fields of a team
+ * @route   PUT /api/teams/:id/fields
+ * @access  Private
+ */
+exports.updateCustomFields = async (req, res) => {
+  try {
+    const { fields } = req.body;
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Check if user is owner or admin
+    if (!canManageTeam(team, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this team'
+      });
+    }
+
+    const error = validateFieldDefinitions(fields);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const previous = team.customFields.map(field => field.toObject());
+
+    team.customFields = fields.map(({ key, name, type, options, required }) => ({
+      key,
+      name: name || key,
+      type,
+      options: options || [],
+      required: Boolean(required)
+    }));
+    await team.save();
+
+    // Values of removed fields, changed types and removed options no longer apply
+    await clearStaleValues(team._id, req.user.id, previous, team.customFields);
+
+    res.status(200).json({
+      success: true,
+      count: team.customFields.length,
+      data: team.customFields
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,223 @@
+const TaskTemplate = require('../models/TaskTemplate');
+const Team = require('../models/Team');
+const { templatePlaceholders } = require('../utils/template');
+const { isOwnerOrAdmin, isMemberOf, canUseShared } = require('../utils/policy');
+
+// Show which values a template needs alongside the template itself
+const withPlaceholders = (template) => ({
+  ...template.toObject(),
+  placeholders: templatePlaceholders(template)
+});
+
+/**
+ * @desc    Create a task template
+ * @route   POST /api/templates
+ * @access  Private
+ */
+exports.createTemplate = async (req, res) => {
+  try {
+    const { name, team, title, description, priority, tags, dueOffsetDays } = req.body;
+
+    // Templates can only be shared with a team the user belongs to
+    if (team && !(await isMemberOf(team, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to share templates with this team'
+      });
+    }
+
+    const template = await TaskTemplate.create({
+      name,
+      team,
+      title,
+      description,
+      priority,
+      tags,
+      dueOffsetDays,
+      owner: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: withPlaceholders(template)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get my templates and templates shared with my teams
+ * @route   GET /api/templates
+ * @access  Private
+ */
+exports.getTemplates = async (req, res) => {
+  try {
+    const teamIds = await Team.distinct('_id', { 'members.user': req.user.id });
+
+    const query = { $or: [{ owner: req.user.id }, { team: { $in: teamIds } }] };
+
+    // Narrow down to one team's templates
+    if (req.query.team) {
+      query.team = req.query.team;
+    }
+
+    const templates = await TaskTemplate.find(query)
+      .populate('owner', 'name email')
+      .populate('team', 'name')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates.map(withPlaceholders)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single task template
+ * @route   GET /api/templates/:id
+ * @access  Private
+ */
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (!(await canUseShared(template, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this template'
+      });
+    }
+
+    await template.populate([
+      { path: 'owner', select: 'name email' },
+      { path: 'team', select: 'name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: withPlaceholders(template)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update task template
+ * @route   PUT /api/templates/:id
+ * @access  Private
+ */
+exports.updateTemplate = async (req, res) => {
+  try {
+    let template = await TaskTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    // Check if user is owner
+    if (!isOwnerOrAdmin(template.owner, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this template'
+      });
+    }
+
+    const { name, team, title, description, priority, tags, dueOffsetDays } = req.body;
+
+    if (team && !(await isMemberOf(team, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to share templates with this team'
+      });
+    }
+
+    // An empty team makes the template private again; a null offset drops the due date
+    template = await TaskTemplate.findByIdAndUpdate(
+      req.params.id,
+      {
+        name,
+        team: team === undefined ? undefined : team || null,
+        title,
+        description,
+        priority,
+        tags,
+        dueOffsetDays,
+        updatedAt: Date.now()
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: withPlaceholders(template)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete task template
+ * @route   DELETE /api/templates/:id
+ * @access  Private
+ */
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    // Check if user is owner
+    if (!isOwnerOrAdmin(template.owner, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this template'
+      });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,298 @@
+const SavedView = require('../models/SavedView');
+const Team = require('../models/Team');
+const { TASK_FILTERS, buildTaskQuery, paginateTasks } = require('../utils/taskQuery');
+const { parseSearchQuery } = require('../utils/searchQuery');
+const { isOwnerOrAdmin, isMemberOf, canUseShared } = require('../utils/policy');
+
+// Keep only known task filters and custom field filters with a value
+const pickFilters = (filters = {}) => {
+  const keys = [...TASK_FILTERS, ...Object.keys(filters).filter(key => key.startsWith('cf.'))];
+
+  return keys.reduce((picked, key) => {
+    if (filters[key] !== undefined && filters[key] !== '') {
+      picked[key] = filters[key];
+    }
+    return picked;
+  }, {});
+};
+
+// Reject a stored search query now rather than every time the view runs
+const checkSearchQuery = async (filters = {}, user) => {
+  try {
+    if (filters.q) {
+      await parseSearchQuery(filters.q, user);
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * @desc    Create a saved view
+ * @route   POST /api/views
+ * @access  Private
+ */
+exports.createView = async (req, res) => {
+  try {
+    const { name, team, filters, sortBy, order, limit } = req.body;
+
+    const queryError = await checkSearchQuery(filters, req.user);
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        message: queryError
+      });
+    }
+
+    // Views can only be shared with a team the user belongs to
+    if (team && !(await isMemberOf(team, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to share views with this team'
+      });
+    }
+
+    const view = await SavedView.create({
+      name,
+      team,
+      filters: pickFilters(filters),
+      sortBy,
+      order,
+      limit,
+      owner: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get my saved views and views shared with my teams
+ * @route   GET /api/views
+ * @access  Private
+ */
+exports.getViews = async (req, res) => {
+  try {
+    const teamIds = await Team.distinct('_id', { 'members.user': req.user.id });
+
+    const views = await SavedView.find({
+      $or: [{ owner: req.user.id }, { team: { $in: teamIds } }]
+    })
+      .populate('owner', 'name email')
+      .populate('team', 'name')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: views.length,
+      data: views
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single saved view
+ * @route   GET /api/views/:id
+ * @access  Private
+ */
+exports.getView = async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    if (!(await canUseShared(view, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this view'
+      });
+    }
+
+    await view.populate([
+      { path: 'owner', select: 'name email' },
+      { path: 'team', select: 'name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update saved view
+ * @route   PUT /api/views/:id
+ * @access  Private
+ */
+exports.updateView = async (req, res) => {
+  try {
+    let view = await SavedView.findById(req.params.id);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    // Check if user is owner
+    if (!isOwnerOrAdmin(view.owner, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this view'
+      });
+    }
+
+    const { name, team, filters, sortBy, order, limit } = req.body;
+
+    const queryError = await checkSearchQuery(filters, req.user);
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        message: queryError
+      });
+    }
+
+    if (team && !(await isMemberOf(team, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to share views with this team'
+      });
+    }
+
+    // An empty team turns a shared view back into a private one
+    view = await SavedView.findByIdAndUpdate(
+      req.params.id,
+      {
+        name,
+        team: team === undefined ? undefined : team || null,
+        filters: filters === undefined ? undefined : pickFilters(filters),
+        sortBy,
+        order,
+        limit,
+        updatedAt: Date.now()
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete saved view
+ * @route   DELETE /api/views/:id
+ * @access  Private
+ */
+exports.deleteView = async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    // Check if user is owner
+    if (!isOwnerOrAdmin(view.owner, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this view'
+      });
+    }
+
+    await view.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the tasks matching a saved view
+ * @route   GET /api/views/:id/tasks
+ * @access  Private
+ */
+exports.getViewTasks = async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    if (!(await canUseShared(view, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this view'
+      });
+    }
+
+    // "me" in a shared view resolves to whoever is looking at it
+    const query = await buildTaskQuery(view.filters, req.user);
+
+    const result = await paginateTasks(query, {
+      sortBy: view.sortBy,
+      order: view.order,
+      limit: view.limit,
+      page: req.query.page,
+      after: req.query.after
+    });
+
+    res.status(200).json({
+      success: true,
+      view: { id: view._id, name: view.name },
+      ...result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
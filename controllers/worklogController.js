@@ -0,0 +1,482 @@
+const mongoose = require('mongoose');
+const Worklog = require('../models/Worklog');
+const Task = require('../models/Task');
+const { parseLimit, fetchPage } = require('../utils/cursor');
+const { isAdmin, isOwnerOrAdmin, isMemberOf, canViewTask } = require('../utils/policy');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GROUPS = {
+  task: { model: 'Task', select: 'title estimate' },
+  user: { model: 'User', select: 'name email' },
+  team: { model: 'Team', select: 'name' }
+};
+
+// Whole minutes between two times; anything under a minute counts as one
+const minutesBetween = (start, end) => Math.max(1, Math.round((end - start) / MINUTE_MS));
+
+/**
+ * Parse a from/to date range. A plain date in `to` includes that whole day.
+ * Resolves to { range } (a startedAt condition) or { error }.
+ */
+const parseRange = (from, to) => {
+  const range = {};
+
+  if (from) {
+    const start = new Date(from);
+    if (isNaN(start.getTime())) {
+      return { error: 'Invalid from date' };
+    }
+    range.$gte = start;
+  }
+
+  if (to) {
+    const end = new Date(to);
+    if (isNaN(end.getTime())) {
+      return { error: 'Invalid to date' };
+    }
+    range.$lt = /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(end.getTime() + DAY_MS) : end;
+  }
+
+  return { range: Object.keys(range).length > 0 ? range : null };
+};
+
+/**
+ * @desc    Start a timer on a task
+ * @route   POST /api/tasks/:id/timer/start
+ * @access  Private
+ */
+exports.startTimer = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    // Only one timer can run at a time
+    const running = await Worklog.findOne({ user: req.user.id, running: true })
+      .populate('task', 'title');
+
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a running timer. Stop it first',
+        data: running
+      });
+    }
+
+    const worklog = await Worklog.create({
+      task: task._id,
+      user: req.user.id,
+      team: task.team,
+      source: 'timer',
+      running: true,
+      startedAt: Date.now(),
+      note: req.body?.note
+    });
+
+    res.status(201).json({
+      success: true,
+      data: worklog
+    });
+  } catch (error) {
+    // Another request started a timer at the same moment
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a running timer. Stop it first'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Stop my running timer on a task
+ * @route   POST /api/tasks/:id/timer/stop
+ * @access  Private
+ */
+exports.stopTimer = async (req, res) => {
+  try {
+    const worklog = await Worklog.findOne({
+      task: req.params.id,
+      user: req.user.id,
+      running: true
+    });
+
+    if (!worklog) {
+      return res.status(404).json({
+        success: false,
+        message: 'No running timer on this task'
+      });
+    }
+
+    const endedAt = new Date();
+
+    worklog.running = false;
+    worklog.endedAt = endedAt;
+    worklog.duration = minutesBetween(worklog.startedAt, endedAt);
+    worklog.updatedAt = endedAt;
+    if (req.body?.note !== undefined) {
+      worklog.note = req.body.note;
+    }
+    await worklog.save();
+
+    res.status(200).json({
+      success: true,
+      data: worklog
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get my running timer
+ * @route   GET /api/worklogs/timer
+ * @access  Private
+ */
+exports.getTimer = async (req, res) => {
+  try {
+    const worklog = await Worklog.findOne({ user: req.user.id, running: true })
+      .populate('task', 'title');
+
+    res.status(200).json({
+      success: true,
+      data: worklog
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Log time on a task
+ * @route   POST /api/tasks/:taskId/worklogs
+ * @access  Private
+ */
+exports.addWorklog = async (req, res) => {
+  try {
+    const { duration, note, startedAt } = req.body;
+
+    const task = await Task.findById(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    // Without a start time the work is taken to have just finished
+    const minutes = Number(duration);
+    const start = startedAt ? new Date(startedAt) : new Date(Date.now() - minutes * MINUTE_MS);
+
+    const worklog = await Worklog.create({
+      task: task._id,
+      user: req.user.id,
+      team: task.team,
+      source: 'manual',
+      startedAt: start,
+      endedAt: new Date(start.getTime() + minutes * MINUTE_MS),
+      duration: minutes,
+      note
+    });
+
+    res.status(201).json({
+      success: true,
+      data: worklog
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the time logged on a task
+ * @route   GET /api/tasks/:taskId/worklogs
+ * @access  Private
+ */
+exports.getWorklogs = async (req, res) => {
+  try {
+    const { limit, after } = req.query;
+
+    const task = await Task.findById(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canViewTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    // Most recent work first, one page at a time
+    const { items, nextCursor } = await fetchPage(
+      (filter) => Worklog.find(filter).populate('user', 'name email'),
+      { task: task._id },
+      { sortBy: 'startedAt', order: 'desc', limit: parseLimit(limit, 20), after }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      nextCursor,
+      data: items
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a worklog entry
+ * @route   PUT /api/worklogs/:id
+ * @access  Private
+ */
+exports.updateWorklog = async (req, res) => {
+  try {
+    const worklog = await Worklog.findById(req.params.id);
+
+    if (!worklog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Worklog not found'
+      });
+    }
+
+    // Check if user logged the time
+    if (!isOwnerOrAdmin(worklog.user, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this worklog'
+      });
+    }
+
+    const { duration, note, startedAt } = req.body;
+
+    // A running timer only takes a note until it is stopped
+    if (worklog.running && (duration !== undefined || startedAt !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stop the timer before changing its times'
+      });
+    }
+
+    if (startedAt !== undefined) {
+      worklog.startedAt = new Date(startedAt);
+    }
+    if (duration !== undefined) {
+      worklog.duration = Number(duration);
+    }
+    if (!worklog.running) {
+      worklog.endedAt = new Date(worklog.startedAt.getTime() + worklog.duration * MINUTE_MS);
+    }
+    if (note !== undefined) {
+      worklog.note = note;
+    }
+    worklog.updatedAt = Date.now();
+
+    await worklog.save();
+
+    res.status(200).json({
+      success: true,
+      data: worklog
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a worklog entry
+ * @route   DELETE /api/worklogs/:id
+ * @access  Private
+ */
+exports.deleteWorklog = async (req, res) => {
+  try {
+    const worklog = await Worklog.findById(req.params.id);
+
+    if (!worklog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Worklog not found'
+      });
+    }
+
+    // Check if user logged the time
+    if (!isOwnerOrAdmin(worklog.user, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this worklog'
+      });
+    }
+
+    await worklog.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Worklog deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get time totals per task, user or team over a date range
+ * @route   GET /api/worklogs/summary
+ * @access  Private
+ */
+exports.getTimeSummary = async (req, res) => {
+  try {
+    const { from, to, groupBy = 'task', task, user, team } = req.query;
+
+    if (!GROUPS[groupBy]) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot group by "${groupBy}". Use one of ${Object.keys(GROUPS).join(', ')}`
+      });
+    }
+
+    // Only the user filter takes "me"
+    const invalid = ['task', 'user', 'team'].find(
+      key => req.query[key] && !(key === 'user' && user === 'me') && !mongoose.isValidObjectId(req.query[key])
+    );
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalid} ID`
+      });
+    }
+
+    const { range, error } = parseRange(from, to);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Running timers count once they are stopped
+    const match = { running: false };
+    if (range) {
+      match.startedAt = range;
+    }
+
+    if (team) {
+      if (!isAdmin(req.user) && !(await isMemberOf(team, req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this team'
+        });
+      }
+      match.team = new mongoose.Types.ObjectId(String(team));
+    }
+
+    if (task) {
+      const taskDoc = await Task.findById(task);
+      if (!taskDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task not found'
+        });
+      }
+      if (!(await canViewTask(taskDoc, req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this task'
+        });
+      }
+      match.task = taskDoc._id;
+    }
+
+    // Without a team or task, users only see their own time
+    const userId = user === 'me' ? req.user.id : user;
+    if (userId && userId !== req.user.id && !team && !task && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view time logged by other users'
+      });
+    }
+    if (userId) {
+      match.user = new mongoose.Types.ObjectId(String(userId));
+    } else if (!team && !task && !isAdmin(req.user)) {
+      match.user = new mongoose.Types.ObjectId(req.user.id);
+    }
+
+    const groups = await Worklog.aggregate([
+      { $match: match },
+      { $group: { _id: `$${groupBy}`, minutes: { $sum: '$duration' }, entries: { $sum: 1 } } },
+      { $sort: { minutes: -1 } }
+    ]);
+
+    await Worklog.populate(groups, {
+      path: '_id',
+      model: GROUPS[groupBy].model,
+      select: GROUPS[groupBy].select
+    });
+
+    const data = groups.map(({ _id, minutes, entries }) => ({
+      [groupBy]: _id,
+      minutes,
+      entries
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      totalMinutes: data.reduce((sum, group) => sum + group.minutes, 0),
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -3,6 +3,8 @@ const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
+const { startTrashPurge } = require('./utils/trash');
+const { startReminders } = require('./utils/reminders');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -10,6 +12,16 @@ const taskRoutes = require('./routes/taskRoutes');
 const teamRoutes = require('./routes/teamRoutes');
 const commentRoutes = require('./routes/commentRoutes');
 const attachmentRoutes = require('./routes/attachmentRoutes');
+const viewRoutes = require('./routes/viewRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const worklogRoutes = require('./routes/worklogRoutes');
+const sprintRoutes = require('./routes/sprintRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const milestoneRoutes = require('./routes/milestoneRoutes');
+const labelRoutes = require('./routes/labelRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const teamInvitationRoutes = require('./routes/teamInvitationRoutes');
 
 // Connect to database
 connectDB();
@@ -34,10 +46,25 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/teams', teamRoutes);
+app.use('/api/teams/:teamId/sprints', sprintRoutes);
+app.use('/api/teams/:teamId/projects', projectRoutes);
+app.use('/api/teams/:teamId/milestones', milestoneRoutes);
+app.use('/api/teams/:teamId/labels', labelRoutes);
+app.use('/api/teams/:teamId/invitations', teamInvitationRoutes);
 app.use('/api/tasks/:taskId/comments', commentRoutes);
 app.use('/api/tasks/:taskId/attachments', attachmentRoutes);
+app.use('/api/tasks/:taskId/worklogs', worklogRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/attachments', attachmentRoutes);
+app.use('/api/worklogs', worklogRoutes);
+app.use('/api/sprints', sprintRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/milestones', milestoneRoutes);
+app.use('/api/labels', labelRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Error handler middleware (should be last)
 app.use(errorHandler);
@@ -48,6 +75,12 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
+
+  // Permanently remove tasks that have outlived the trash retention period
+  startTrashPurge();
+
+  // Remind assignees of upcoming due dates and mark overdue tasks
+  startReminders();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const activitySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'created',
+      'updated',
+      'completed',
+      'deleted',
+      'restored',
+      'comment-added',
+      'comment-deleted',
+      'attachment-added',
+      'attachment-deleted',
+      'dependency-added',
+      'dependency-removed'
+    ],
+    required: true
+  },
+  field: {
+    type: String
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for reading a task's history newest first
+activitySchema.index({ task: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Please provide an email'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  // SHA-256 of the token sent to the invitee; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  // The invitee's account, once the email belongs to one
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for looking up invitations by token
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+// Index for one open invitation per team and email
+invitationSchema.index(
+  { team: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+// Index for finding the invitations of an email
+invitationSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
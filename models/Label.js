@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const labelSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a label name'],
+    trim: true,
+    maxlength: [50, 'Label name cannot be more than 50 characters']
+  },
+  // Name folded to lowercase letters and digits (see utils/labels.js), so
+  // "Backend" and "back-end" are the same label
+  key: {
+    type: String,
+    required: true
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-f]{6}$/i, 'Color must be a hex color such as #1d76db'],
+    default: '#6b7280'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for one label per name within a team
+labelSchema.index({ team: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('Label', labelSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const lockSchema = new mongoose.Schema({
+  // Name of the job the lock guards
+  _id: {
+    type: String
+  },
+  // Run holding the lock: the server instance and a token of its own
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Index for clearing out locks left behind by stopped instances
+lockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Lock', lockSchema);
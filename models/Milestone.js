@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const milestoneSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  // Milestones may mark a point in one project or span the team's work
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a milestone name'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  dueDate: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a team's milestones by due date
+milestoneSchema.index({ team: 1, dueDate: 1 });
+milestoneSchema.index({ project: 1 });
+
+module.exports = mongoose.model('Milestone', milestoneSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const projectSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a project name'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Archived projects keep their tasks but take no new ones
+  status: {
+    type: String,
+    enum: ['active', 'archived'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a team's projects
+projectSchema.index({ team: 1, name: 1 });
+
+module.exports = mongoose.model('Project', projectSchema);
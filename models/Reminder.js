@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const reminderSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Minutes before the due date the reminder was for
+  leadTime: {
+    type: Number,
+    required: true
+  },
+  // Due date reminded about; moving the due date allows new reminders
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for sending each reminder once
+reminderSchema.index({ task: 1, user: 1, leadTime: 1, dueDate: 1 }, { unique: true });
+// Index for dropping reminders once their due date has passed
+reminderSchema.index({ dueDate: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
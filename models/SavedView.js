@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a view name'],
+    trim: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Views with a team are shared with its members; the rest are private
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  // Stored GET /api/tasks filters (see TASK_FILTERS in utils/taskQuery.js)
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sortBy: {
+    type: String,
+    default: 'createdAt'
+  },
+  order: {
+    type: String,
+    enum: ['asc', 'desc'],
+    default: 'desc'
+  },
+  limit: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 10
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a user's own and team views
+savedViewSchema.index({ owner: 1 });
+savedViewSchema.index({ team: 1 });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
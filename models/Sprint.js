@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const sprintSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a sprint name'],
+    trim: true
+  },
+  goal: {
+    type: String,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please provide an end date']
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'active', 'closed'],
+    default: 'planned'
+  },
+  // Work planned in when the sprint started
+  committed: {
+    tasks: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+    points: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Work finished when the sprint closed, work planned in after it started
+  // and what moved on unfinished
+  completed: {
+    tasks: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+    points: {
+      type: Number,
+      default: 0
+    }
+  },
+  added: {
+    tasks: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+    points: {
+      type: Number,
+      default: 0
+    }
+  },
+  rolledOver: {
+    tasks: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+    points: {
+      type: Number,
+      default: 0
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sprint'
+    }
+  },
+  startedAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a team's sprints in order
+sprintSchema.index({ team: 1, startDate: 1 });
+
+module.exports = mongoose.model('Sprint', sprintSchema);
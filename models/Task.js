@@ -10,9 +10,10 @@ const taskSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Allowed values come from the team's workflow (see utils/workflow.js)
   status: {
     type: String,
-    enum: ['open', 'in-progress', 'completed', 'cancelled'],
+    trim: true,
     default: 'open'
   },
   priority: {
@@ -23,23 +24,92 @@ const taskSchema = new mongoose.Schema({
   dueDate: {
     type: Date
   },
+  // Set by the reminder scheduler once an open task passes its due date
+  overdue: {
+    type: Boolean,
+    default: false
+  },
+  // Expected effort in minutes, compared against logged time
+  estimate: {
+    type: Number,
+    min: [0, 'Estimate cannot be negative']
+  },
+  storyPoints: {
+    type: Number,
+    min: [0, 'Story points cannot be negative']
+  },
+  // RRULE subset (see utils/recurrence.js); occurrence is this task's position in the series
+  recurrence: {
+    rule: {
+      type: String,
+      trim: true
+    },
+    occurrence: {
+      type: Number,
+      min: 1
+    }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Primary assignee, kept equal to assignees[0] for older clients and data
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  assignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   team: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Team'
   },
+  // Position within its board column (see utils/rank.js)
+  rank: {
+    type: String
+  },
+  // Sprint of the task's team the task is planned into
+  sprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  },
+  // Project and milestone of the task's team the task belongs to
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone',
+    default: null
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Free-text tags; team tasks use labels instead (see utils/labels.js)
   tags: [{
     type: String,
     trim: true
   }],
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Label'
+  }],
   attachments: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Attachment'
@@ -58,7 +128,24 @@ const taskSchema = new mongoose.Schema({
   },
   completedAt: {
     type: Date
+  },
+  // Values of the team's custom fields, keyed by field key
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Set while the task is in the trash (see utils/trash.js)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
+}, {
+  // Every save checks and bumps __v, which backs the task's ETag
+  optimisticConcurrency: true
 });
 
 // Update the updatedAt timestamp before saving
@@ -73,10 +160,97 @@ taskSchema.pre('save', function(next) {
   next();
 });
 
+// Bump the version on query updates too, so the ETag changes with every write
+taskSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  const update = this.getUpdate();
+  this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
+});
+
+// Hide trashed tasks from every query, populate included, unless the filter
+// asks about deletedAt itself
+taskSchema.pre(
+  ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'],
+  function() {
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+  }
+);
+
+// Check if a user holds any assignee slot, including the legacy single one
+taskSchema.methods.isAssignee = function(userId) {
+  const id = userId.toString();
+  return (
+    (this.assignedTo?._id || this.assignedTo)?.toString() === id ||
+    this.assignees.some(assignee => (assignee._id || assignee).toString() === id)
+  );
+};
+
+// Query matching tasks where a user holds any assignee slot
+taskSchema.statics.assignedToQuery = function(userId) {
+  return { $or: [{ assignees: userId }, { assignedTo: userId }] };
+};
+
+// Collect every task below this one in the subtask hierarchy
+taskSchema.statics.findDescendants = async function(taskId) {
+  const descendants = [];
+  const seen = new Set([taskId.toString()]);
+  let parentIds = [taskId];
+
+  while (parentIds.length) {
+    const children = await this.find({ parent: { $in: parentIds } });
+    const unseen = children.filter(child => !seen.has(child.id));
+
+    unseen.forEach(child => seen.add(child.id));
+    descendants.push(...unseen);
+    parentIds = unseen.map(child => child._id);
+  }
+
+  return descendants;
+};
+
+// Check whether a task is blocked, directly or through a chain, by another task
+taskSchema.statics.isBlockedBy = async function(taskId, blockerId) {
+  const target = blockerId.toString();
+  const seen = new Set([taskId.toString()]);
+  let frontier = [taskId];
+
+  while (frontier.length) {
+    const tasks = await this.find({ _id: { $in: frontier } }).select('blockedBy');
+    const next = [];
+
+    for (const task of tasks) {
+      for (const id of task.blockedBy) {
+        if (id.toString() === target) {
+          return true;
+        }
+        if (!seen.has(id.toString())) {
+          seen.add(id.toString());
+          next.push(id);
+        }
+      }
+    }
+
+    frontier = next;
+  }
+
+  return false;
+};
+
 // Index for better query performance
-taskSchema.index({ createdBy: 1, status: 1 });
+taskSchema.index({ createdBy: 1, status: 1, rank: 1 });
 taskSchema.index({ assignedTo: 1, status: 1 });
-taskSchema.index({ team: 1, status: 1 });
+taskSchema.index({ assignees: 1, status: 1 });
+taskSchema.index({ watchers: 1 });
+taskSchema.index({ team: 1, status: 1, rank: 1 });
+taskSchema.index({ parent: 1 });
+taskSchema.index({ sprint: 1 });
+taskSchema.index({ project: 1 });
+taskSchema.index({ milestone: 1 });
+taskSchema.index({ labels: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ deletedAt: 1 });
+taskSchema.index({ dueDate: 1 });
 taskSchema.index({ title: 'text', description: 'text' });
 
 module.exports = mongoose.model('Task', taskSchema);
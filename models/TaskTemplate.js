@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const taskTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a template name'],
+    trim: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Templates with a team are shared with its members; the rest are private
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  // Title and description may hold {{placeholders}} (see utils/template.js)
+  title: {
+    type: String,
+    required: [true, 'Please provide a title pattern'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  // Tasks are due this many days after the date they start from
+  dueOffsetDays: {
+    type: Number,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a user's own and team templates
+taskTemplateSchema.index({ owner: 1 });
+taskTemplateSchema.index({ team: 1 });
+
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
@@ -15,6 +15,52 @@ const teamSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Custom task workflow; teams without statuses use the default workflow
+  workflow: {
+    statuses: [{
+      type: String,
+      trim: true
+    }],
+    doneStatuses: [{
+      type: String,
+      trim: true
+    }],
+    transitions: [{
+      _id: false,
+      from: {
+        type: String,
+        trim: true
+      },
+      to: [{
+        type: String,
+        trim: true
+      }]
+    }]
+  },
+  // Typed custom fields for the team's tasks (see utils/customFields.js)
+  customFields: [{
+    _id: false,
+    key: {
+      type: String,
+      trim: true
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['text', 'number', 'date', 'select', 'multiselect', 'user']
+    },
+    options: [{
+      type: String,
+      trim: true
+    }],
+    required: {
+      type: Boolean,
+      default: false
+    }
+  }],
   members: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -34,6 +80,15 @@ const teamSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  // Every save checks and bumps __v, which backs the team's ETag
+  optimisticConcurrency: true
+});
+
+// Bump the version on query updates too, so the ETag changes with every write
+teamSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  const update = this.getUpdate();
+  this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
 });
 
 // Add owner to members automatically
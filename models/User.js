@@ -30,12 +30,31 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Team'
   }],
+  // Due date reminders, in minutes before a task is due; empty turns them off
+  reminders: {
+    leadTimes: {
+      type: [{
+        type: Number,
+        min: [1, 'Lead times must be at least one minute'],
+        max: [30 * 24 * 60, 'Lead times cannot be more than 30 days']
+      }],
+      default: [24 * 60]
+    }
+  },
+  // Secret in the user's calendar feed URL (see utils/ical.js)
+  calendarToken: {
+    type: String,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Index for looking up calendar feeds by token
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
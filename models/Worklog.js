@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const worklogSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The task's team when the time was logged, for team totals
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    default: 'manual'
+  },
+  // True while a timer is counting; the user has at most one running
+  running: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  },
+  // Minutes worked, set once the entry is finished
+  duration: {
+    type: Number,
+    min: [1, 'Duration must be at least one minute']
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One running timer per user, enforced by the database
+worklogSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { running: true } });
+
+// Index for time totals over a date range
+worklogSchema.index({ task: 1, startedAt: -1 });
+worklogSchema.index({ user: 1, startedAt: -1 });
+worklogSchema.index({ team: 1, startedAt: -1 });
+
+module.exports = mongoose.model('Worklog', worklogSchema);
@@ -5,6 +5,7 @@ const {
   login,
   getMe,
   updateProfile,
+  updateReminders,
   updatePassword,
   logout
 } = require('../controllers/authController');
@@ -34,11 +35,19 @@ const updatePasswordValidation = [
     .withMessage('New password must be at least 6 characters')
 ];
 
+const remindersValidation = [
+  body('leadTimes').isArray({ max: 5 }).withMessage('Lead times must be a list of at most 5'),
+  body('leadTimes.*')
+    .isInt({ min: 1, max: 30 * 24 * 60 })
+    .withMessage('Lead times must be whole minutes, up to 30 days')
+];
+
 // Routes
 router.post('/register', registerValidation, validate, register);
 router.post('/login', loginValidation, validate, login);
 router.get('/me', protect, getMe);
 router.put('/profile', protect, updateProfile);
+router.put('/reminders', protect, remindersValidation, validate, updateReminders);
 router.put('/password', protect, updatePasswordValidation, validate, updatePassword);
 router.post('/logout', protect, logout);
 
@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getCalendarFeed,
+  getCalendarToken,
+  regenerateCalendarToken,
+  deleteCalendarToken
+} = require('../controllers/calendarController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Routes
+router.route('/token')
+  .get(protect, getCalendarToken)
+  .post(protect, regenerateCalendarToken)
+  .delete(protect, deleteCalendarToken);
+
+// Calendar apps can't send a bearer token, so the feed URL carries its own
+router.get('/:token.ics', getCalendarFeed);
+
+module.exports = router;
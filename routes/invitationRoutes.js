@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getMyInvitations,
+  acceptMyInvitation,
+  declineMyInvitation,
+  getInvitation,
+  acceptInvitation,
+  declineInvitation,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Routes for invitees and senders; teams list and send theirs through teamInvitationRoutes
+router.get('/mine', protect, getMyInvitations);
+router.post('/mine/:id/accept', protect, acceptMyInvitation);
+router.post('/mine/:id/decline', protect, declineMyInvitation);
+
+router.delete('/:id', protect, revokeInvitation);
+
+// The invitee may not have an account yet, so the token alone opens the invitation
+router.get('/:token', getInvitation);
+router.post('/:token/accept', protect, acceptInvitation);
+router.post('/:token/decline', declineInvitation);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createLabel,
+  getLabels,
+  updateLabel,
+  deleteLabel,
+  mergeLabel,
+  migrateTeamTags
+} = require('../controllers/labelController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const labelValidation = [
+  body('name').trim().notEmpty().withMessage('Label name is required'),
+  body('color').optional().matches(/^#[0-9a-f]{6}$/i).withMessage('Color must be a hex color such as #1d76db')
+];
+
+const labelUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Label name cannot be empty'),
+  body('color').optional().matches(/^#[0-9a-f]{6}$/i).withMessage('Color must be a hex color such as #1d76db')
+];
+
+const mergeValidation = [
+  body('into').isMongoId().withMessage('Label to merge into is required')
+];
+
+// Routes
+router.route('/')
+  .get(protect, getLabels)
+  .post(protect, labelValidation, validate, createLabel);
+
+router.post('/migrate-tags', protect, migrateTeamTags);
+
+router.route('/:id')
+  .put(protect, labelUpdateValidation, validate, updateLabel)
+  .delete(protect, deleteLabel);
+
+router.post('/:id/merge', protect, mergeValidation, validate, mergeLabel);
+
+module.exports = router;
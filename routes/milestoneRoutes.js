@@ -0,0 +1,36 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createMilestone,
+  getMilestones,
+  getMilestone,
+  updateMilestone,
+  deleteMilestone
+} = require('../controllers/milestoneController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const milestoneValidation = [
+  body('name').trim().notEmpty().withMessage('Milestone name is required'),
+  body('dueDate').optional({ values: 'null' }).isISO8601().withMessage('Due date must be a valid date')
+];
+
+const milestoneUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Milestone name cannot be empty'),
+  body('dueDate').optional({ values: 'null' }).isISO8601().withMessage('Due date must be a valid date')
+];
+
+// Routes
+router.route('/')
+  .get(protect, getMilestones)
+  .post(protect, milestoneValidation, validate, createMilestone);
+
+router.route('/:id')
+  .get(protect, getMilestone)
+  .put(protect, milestoneUpdateValidation, validate, updateMilestone)
+  .delete(protect, deleteMilestone);
+
+module.exports = router;
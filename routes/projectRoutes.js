@@ -0,0 +1,35 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createProject,
+  getProjects,
+  getProject,
+  updateProject,
+  deleteProject
+} = require('../controllers/projectController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const projectValidation = [
+  body('name').trim().notEmpty().withMessage('Project name is required')
+];
+
+const projectUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Project name cannot be empty'),
+  body('status').optional().isIn(['active', 'archived']).withMessage('Status must be active or archived')
+];
+
+// Routes
+router.route('/')
+  .get(protect, getProjects)
+  .post(protect, projectValidation, validate, createProject);
+
+router.route('/:id')
+  .get(protect, getProject)
+  .put(protect, projectUpdateValidation, validate, updateProject)
+  .delete(protect, deleteProject);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createSprint,
+  getSprints,
+  getSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  closeSprint,
+  getSprintReport
+} = require('../controllers/sprintController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const sprintValidation = [
+  body('name').trim().notEmpty().withMessage('Sprint name is required'),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date')
+];
+
+const sprintUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Sprint name cannot be empty'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+];
+
+// Routes
+router.route('/')
+  .get(protect, getSprints)
+  .post(protect, sprintValidation, validate, createSprint);
+
+router.route('/:id')
+  .get(protect, getSprint)
+  .put(protect, sprintUpdateValidation, validate, updateSprint)
+  .delete(protect, deleteSprint);
+
+router.post('/:id/start', protect, startSprint);
+router.post('/:id/close', protect, closeSprint);
+router.get('/:id/report', protect, getSprintReport);
+
+module.exports = router;
@@ -2,13 +2,33 @@ const express = require('express');
 const { body } = require('express-validator');
 const {
   createTask,
+  createTaskFromTemplate,
   getTasks,
   getMyTasks,
+  getTrash,
+  restoreTask,
   getTask,
   updateTask,
+  moveTask,
+  moveTaskToTeam,
+  cloneTask,
   completeTask,
-  deleteTask
+  deleteTask,
+  createSubtask,
+  getSubtasks,
+  getDependencies,
+  addDependency,
+  removeDependency,
+  getOccurrences,
+  getActivity,
+  addAssignee,
+  removeAssignee,
+  addWatcher,
+  removeWatcher,
+  bulkUpdateTasks
 } = require('../controllers/taskController');
+const { startTimer, stopTimer } = require('../controllers/worklogController');
+const { exportTasks, importTasks } = require('../controllers/taskTransferController');
 const { protect } = require('../middleware/auth');
 const validate = require('../middleware/validate');
 
@@ -19,18 +39,78 @@ const taskValidation = [
   body('title').trim().notEmpty().withMessage('Task title is required')
 ];
 
+const bulkValidation = [
+  body('action')
+    .isIn(['status', 'priority', 'assignee', 'team', 'sprint', 'addTags', 'removeTags', 'addLabels', 'removeLabels', 'delete'])
+    .withMessage('Action must be one of status, priority, assignee, team, sprint, addTags, removeTags, addLabels, removeLabels, delete')
+];
+
+const moveValidation = [
+  body('status').optional().isString().withMessage('Status must be a string'),
+  body('before').optional().isMongoId().withMessage('Invalid task ID for before'),
+  body('after').optional().isMongoId().withMessage('Invalid task ID for after')
+];
+
+// Imports send the CSV file itself, which can outgrow the JSON body limit
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+const teamMoveValidation = [
+  body('team').isMongoId().withMessage('Invalid team ID')
+];
+
+const cloneValidation = [
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+  body(['tags', 'comments', 'attachments', 'subtasks']).optional().isBoolean({ strict: true })
+    .withMessage('Clone options must be true or false')
+];
+
+const dependencyValidation = [
+  body('taskId').notEmpty().withMessage('Blocking task ID is required')
+];
+
 // Routes
 router.route('/')
   .get(protect, getTasks)
   .post(protect, taskValidation, validate, createTask);
 
 router.get('/my-tasks', protect, getMyTasks);
+router.get('/trash', protect, getTrash);
+router.get('/export', protect, exportTasks);
+router.post('/import', protect, csvBody, importTasks);
+router.post('/bulk', protect, bulkValidation, validate, bulkUpdateTasks);
+router.post('/from-template/:templateId', protect, createTaskFromTemplate);
 
 router.route('/:id')
   .get(protect, getTask)
   .put(protect, updateTask)
   .delete(protect, deleteTask);
 
+router.route('/:id/move')
+  .put(protect, moveValidation, validate, moveTask)
+  .post(protect, teamMoveValidation, validate, moveTaskToTeam);
+router.post('/:id/clone', protect, cloneValidation, validate, cloneTask);
 router.put('/:id/complete', protect, completeTask);
+router.post('/:id/restore', protect, restoreTask);
+
+router.post('/:id/timer/start', protect, startTimer);
+router.post('/:id/timer/stop', protect, stopTimer);
+
+router.route('/:id/subtasks')
+  .get(protect, getSubtasks)
+  .post(protect, taskValidation, validate, createSubtask);
+
+router.route('/:id/dependencies')
+  .get(protect, getDependencies)
+  .post(protect, dependencyValidation, validate, addDependency);
+
+router.delete('/:id/dependencies/:blockerId', protect, removeDependency);
+
+router.get('/:id/occurrences', protect, getOccurrences);
+router.get('/:id/activity', protect, getActivity);
+
+router.post('/:id/assignees', protect, addAssignee);
+router.delete('/:id/assignees/:userId', protect, removeAssignee);
+router.post('/:id/watchers', protect, addWatcher);
+router.delete('/:id/watchers/:userId', protect, removeWatcher);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { createInvitation, getInvitations } = require('../controllers/invitationController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const invitationValidation = [
+  body('email').trim().toLowerCase().isEmail().withMessage('Please provide a valid email'),
+  body('role').optional().isIn(['admin', 'member']).withMessage('Role must be admin or member')
+];
+
+// Routes
+router.route('/')
+  .get(protect, getInvitations)
+  .post(protect, invitationValidation, validate, createInvitation);
+
+module.exports = router;
@@ -7,7 +7,12 @@ const {
   updateTeam,
   addMember,
   removeMember,
-  deleteTeam
+  deleteTeam,
+  getWorkflow,
+  updateWorkflow,
+  getBoard,
+  getCustomFields,
+  updateCustomFields
 } = require('../controllers/teamController');
 const { protect } = require('../middleware/auth');
 const validate = require('../middleware/validate');
@@ -23,6 +28,15 @@ const addMemberValidation = [
   body('userId').notEmpty().withMessage('User ID is required')
 ];
 
+const workflowValidation = [
+  body('statuses').isArray({ min: 1 }).withMessage('Statuses must be a non-empty list'),
+  body('doneStatuses').isArray({ min: 1 }).withMessage('Done statuses must be a non-empty list')
+];
+
+const customFieldsValidation = [
+  body('fields').isArray().withMessage('Fields must be a list')
+];
+
 // Routes
 router.route('/')
   .get(protect, getTeams)
@@ -36,4 +50,14 @@ router.route('/:id')
 router.post('/:id/members', protect, addMemberValidation, validate, addMember);
 router.delete('/:id/members/:userId', protect, removeMember);
 
+router.route('/:id/workflow')
+  .get(protect, getWorkflow)
+  .put(protect, workflowValidation, validate, updateWorkflow);
+
+router.get('/:id/board', protect, getBoard);
+
+router.route('/:id/fields')
+  .get(protect, getCustomFields)
+  .put(protect, customFieldsValidation, validate, updateCustomFields);
+
 module.exports = router;
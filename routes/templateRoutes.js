@@ -0,0 +1,45 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createTemplate,
+  getTemplates,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../controllers/templateController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PRIORITIES } = require('../utils/searchQuery');
+
+const router = express.Router();
+
+// Validation rules
+const templateOptionsValidation = [
+  body('priority').optional().isIn(PRIORITIES).withMessage(`Priority must be one of ${PRIORITIES.join(', ')}`),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+  body('dueOffsetDays').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Due offset must be a whole number of days')
+];
+
+const templateValidation = [
+  body('name').trim().notEmpty().withMessage('Template name is required'),
+  body('title').trim().notEmpty().withMessage('Title pattern is required'),
+  ...templateOptionsValidation
+];
+
+const templateUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Template name cannot be empty'),
+  body('title').optional().trim().notEmpty().withMessage('Title pattern cannot be empty'),
+  ...templateOptionsValidation
+];
+
+// Routes
+router.route('/')
+  .get(protect, getTemplates)
+  .post(protect, templateValidation, validate, createTemplate);
+
+router.route('/:id')
+  .get(protect, getTemplate)
+  .put(protect, templateUpdateValidation, validate, updateTemplate)
+  .delete(protect, deleteTemplate);
+
+module.exports = router;
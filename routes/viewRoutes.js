@@ -0,0 +1,49 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createView,
+  getViews,
+  getView,
+  updateView,
+  deleteView,
+  getViewTasks
+} = require('../controllers/viewController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { SORTABLE_FIELDS } = require('../utils/searchQuery');
+const { customSortPath } = require('../utils/customFields');
+
+const router = express.Router();
+
+// Validation rules
+const viewOptionsValidation = [
+  body('sortBy').optional()
+    .custom(value => SORTABLE_FIELDS.includes(value) || Boolean(customSortPath(value)))
+    .withMessage(`Sort field must be one of ${SORTABLE_FIELDS.join(', ')} or cf.<field>`),
+  body('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+  body('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const viewValidation = [
+  body('name').trim().notEmpty().withMessage('View name is required'),
+  ...viewOptionsValidation
+];
+
+const viewUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('View name cannot be empty'),
+  ...viewOptionsValidation
+];
+
+// Routes
+router.route('/')
+  .get(protect, getViews)
+  .post(protect, viewValidation, validate, createView);
+
+router.route('/:id')
+  .get(protect, getView)
+  .put(protect, viewUpdateValidation, validate, updateView)
+  .delete(protect, deleteView);
+
+router.get('/:id/tasks', protect, getViewTasks);
+
+module.exports = router;
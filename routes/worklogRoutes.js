@@ -0,0 +1,39 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getTimer,
+  addWorklog,
+  getWorklogs,
+  updateWorklog,
+  deleteWorklog,
+  getTimeSummary
+} = require('../controllers/worklogController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const worklogValidation = [
+  body('duration').isInt({ min: 1 }).withMessage('Duration must be a whole number of minutes'),
+  body('startedAt').optional().isISO8601().withMessage('Start time must be a valid date')
+];
+
+const worklogUpdateValidation = [
+  body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be a whole number of minutes'),
+  body('startedAt').optional().isISO8601().withMessage('Start time must be a valid date')
+];
+
+// Routes
+router.get('/summary', protect, getTimeSummary);
+router.get('/timer', protect, getTimer);
+
+router.route('/')
+  .get(protect, getWorklogs)
+  .post(protect, worklogValidation, validate, addWorklog);
+
+router.route('/:id')
+  .put(protect, worklogUpdateValidation, validate, updateWorklog)
+  .delete(protect, deleteWorklog);
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const Activity = require('../models/Activity');
+const Task = require('../models/Task');
+
+/**
+ * Reduce a field value to something comparable and safe to store:
+ * ids and populated documents become id strings, dates become ISO strings
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value._id) {
+    return value._id.toString();
+  }
+  if (typeof value === 'object') {
+    return JSON.parse(JSON.stringify(value));
+  }
+  return value;
+};
+
+/**
+ * List the fields whose values differ between two versions of a document
+ */
+const diffFields = (before, after, fields) => {
+  return fields.reduce((changes, field) => {
+    const oldValue = normalize(before.get(field));
+    const newValue = normalize(after.get(field));
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, oldValue, newValue });
+    }
+    return changes;
+  }, []);
+};
+
+const changeEntries = (taskId, actorId, action, changes) => {
+  return changes.map(change => ({
+    task: taskId,
+    actor: actorId,
+    action,
+    field: change.field,
+    oldValue: normalize(change.oldValue),
+    newValue: normalize(change.newValue)
+  }));
+};
+
+/**
+ * Record activity on a task. Each change becomes its own entry; with no
+ * changes a single entry for the action itself is written.
+ */
+const recordActivity = (taskId, actorId, action, changes = []) => {
+  const entries = changes.length
+    ? changeEntries(taskId, actorId, action, changes)
+    : [{ task: taskId, actor: actorId, action }];
+
+  return Activity.insertMany(entries);
+};
+
+/**
+ * Record the fields that differ between two snapshots of a batch of tasks
+ * as 'updated' entries, written in one go
+ */
+const recordTaskChanges = async (before, after, fields, actorId) => {
+  const afterById = new Map(after.map(task => [task.id, task]));
+
+  const entries = before.flatMap(task => {
+    const updated = afterById.get(task.id);
+    return updated ? changeEntries(task._id, actorId, 'updated', diffFields(task, updated, fields)) : [];
+  });
+
+  if (entries.length > 0) {
+    await Activity.insertMany(entries);
+  }
+};
+
+// Top-level fields an update writes, so customFields for customFields.size
+const updatedFields = (update) => {
+  const paths = Object.entries(update).flatMap(([key, value]) => (key.startsWith('$') ? Object.keys(value) : [key]));
+  return [...new Set(paths.map(path => path.split('.')[0]))];
+};
+
+/**
+ * Apply `updates` in turn to every task matching `filter` and record what
+ * changed in each task's history, as a single task update does. For changes
+ * sweeping over many tasks, such as deleting a sprint they were planned into.
+ */
+const updateTasks = async (filter, actorId, ...updates) => {
+  const fields = [...new Set(updates.flatMap(updatedFields))];
+  const before = await Task.find(filter).select(fields);
+  if (before.length === 0) {
+    return;
+  }
+
+  // Trashed tasks are only reached when the filter asks about deletedAt
+  const scope = { _id: { $in: before.map(task => task._id) } };
+  if (Object.hasOwn(filter, 'deletedAt')) {
+    scope.deletedAt = filter.deletedAt;
+  }
+
+  for (const update of updates) {
+    await Task.updateMany(scope, update);
+  }
+
+  const after = await Task.find(scope).select(fields);
+  await recordTaskChanges(before, after, fields, actorId);
+};
+
+module.exports = {
+  diffFields,
+  recordActivity,
+  recordTaskChanges,
+  updateTasks
+};
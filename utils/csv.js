@@ -0,0 +1,98 @@
+/**
+ * Reading and writing CSV (RFC 4180).
+ *
+ * Fields are separated by commas and quoted with double quotes when they
+ * hold commas, quotes or line breaks. Text cells that a spreadsheet would
+ * run as a formula are written with a leading apostrophe.
+ */
+
+// Cells starting with one of these are formulas to spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into a list of records, each a list of cell strings.
+ * Accepts LF or CRLF line breaks and a byte order mark. Blank lines are
+ * kept as records with a single empty cell so record numbers stay true.
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i += 2;
+          continue;
+        }
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+    } else {
+      cell += char;
+    }
+    i += 1;
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field in record ${records.length + 1}`);
+  }
+
+  // The last line break doesn't start another record
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  return records;
+};
+
+const formatCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, line break included
+const formatCsvRow = (values) => values.map(formatCell).join(',') + '\r\n';
+
+// Undo the apostrophe formatCell puts in front of formula-like text
+const unguardCell = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+  unguardCell
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { queryError } = require('./searchQuery');
+
+/**
+ * Cursor pagination for lists sorted on a field plus _id.
+ *
+ * A cursor is an opaque base64url token naming the last item of a page. The
+ * next page starts right after it, so rows inserted or removed between page
+ * loads don't shift the results the way skip/limit does.
+ */
+
+const MAX_LIMIT = 100;
+
+const encodeCursor = (doc, sortBy, order) => {
+  const value = doc.get(sortBy);
+  const payload = {
+    s: sortBy,
+    o: order,
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date,
+    id: doc.id
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortBy, order) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw queryError('Invalid cursor');
+  }
+
+  if (!payload || !mongoose.isValidObjectId(payload.id)) {
+    throw queryError('Invalid cursor');
+  }
+  if (payload.s !== sortBy || payload.o !== order) {
+    throw queryError('Cursor does not match the current sort order');
+  }
+
+  return {
+    value: payload.d ? new Date(payload.v) : payload.v,
+    id: new mongoose.Types.ObjectId(payload.id)
+  };
+};
+
+/**
+ * Match the documents that sort after a cursor. Missing values sort lowest
+ * in MongoDB, so they come first ascending and last descending.
+ */
+const afterCursor = (sortBy, sortOrder, { value, id }) => {
+  const beyond = sortOrder === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return sortOrder === 1
+      ? { $or: [{ [sortBy]: null, _id: { $gt: id } }, { [sortBy]: { $ne: null } }] }
+      : { [sortBy]: null, _id: { $lt: id } };
+  }
+
+  const clauses = [
+    { [sortBy]: { [beyond]: value } },
+    { [sortBy]: value, _id: { [beyond]: id } }
+  ];
+  if (sortOrder === -1) {
+    clauses.push({ [sortBy]: null });
+  }
+
+  return { $or: clauses };
+};
+
+const parseLimit = (limit, fallback) => {
+  return Math.min(Math.max(parseInt(limit) || fallback, 1), MAX_LIMIT);
+};
+
+/**
+ * Fetch one page of a list. `find` builds the (populated) query for a filter.
+ * With `after` the page starts after that cursor; otherwise `page` picks an
+ * offset page. Either way `nextCursor` points at the following page.
+ */
+const fetchPage = async (find, query, { sortBy, order, limit, after, page }) => {
+  const sortOrder = order === 'desc' ? -1 : 1;
+
+  let filter = query;
+  let skip = 0;
+
+  if (after) {
+    const cursor = decodeCursor(after, sortBy, order);
+    filter = { ...query, $and: [...(query.$and || []), afterCursor(sortBy, sortOrder, cursor)] };
+  } else if (page) {
+    skip = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+  }
+
+  const docs = await find(filter)
+    .sort({ [sortBy]: sortOrder, _id: sortOrder })
+    .skip(skip)
+    .limit(limit + 1);
+
+  const items = docs.slice(0, limit);
+  const nextCursor = docs.length > limit
+    ? encodeCursor(items[items.length - 1], sortBy, order)
+    : null;
+
+  return { items, nextCursor };
+};
+
+module.exports = {
+  parseLimit,
+  fetchPage
+};
@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const { queryError } = require('./searchQuery');
+const { isTeamMember } = require('./policy');
+const { updateEveryTask } = require('./trash');
+
+/**
+ * Team-defined custom fields on tasks.
+ *
+ * A team lists its fields on `customFields`; tasks in the team keep their
+ * values in `task.customFields`, keyed by field key. In task list queries a
+ * field is named `cf.<key>`, both as a filter and as a sort field.
+ */
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'multiselect', 'user'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+const FILTER_PREFIX = 'cf.';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hasOptions = (type) => type === 'select' || type === 'multiselect';
+
+const isEmpty = (value) => {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+};
+
+/**
+ * Check a list of field definitions, returning an error message or null
+ */
+const validateFieldDefinitions = (fields) => {
+  if (!Array.isArray(fields)) {
+    return 'Custom fields must be a list';
+  }
+
+  const keys = new Set();
+  for (const field of fields) {
+    if (!field || typeof field.key !== 'string' || !KEY_PATTERN.test(field.key)) {
+      return 'Field keys must start with a letter and use only lowercase letters, digits and underscores';
+    }
+    if (keys.has(field.key)) {
+      return `Field key "${field.key}" is used more than once`;
+    }
+    keys.add(field.key);
+
+    if (!FIELD_TYPES.includes(field.type)) {
+      return `Field "${field.key}" has an invalid type. Use one of ${FIELD_TYPES.join(', ')}`;
+    }
+
+    if (hasOptions(field.type)) {
+      const options = field.options;
+      if (!Array.isArray(options) || options.length === 0) {
+        return `Field "${field.key}" needs a list of options`;
+      }
+      if (options.some(option => typeof option !== 'string' || !option.trim())) {
+        return `Options of field "${field.key}" must be non-empty strings`;
+      }
+      if (new Set(options).size !== options.length) {
+        return `Options of field "${field.key}" must be unique`;
+      }
+    } else if (field.options?.length) {
+      return `Field "${field.key}" of type ${field.type} cannot have options`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Convert one input value to its stored form. Resolves to { value } or
+ * { error } describing why the value doesn't fit the field.
+ */
+const castValue = (field, value, team) => {
+  const label = field.name || field.key;
+
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string') {
+        return { error: `${label} must be text` };
+      }
+      return { value: value.trim() };
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof number !== 'number' || !isFinite(number)) {
+        return { error: `${label} must be a number` };
+      }
+      return { value: number };
+    }
+
+    case 'date': {
+      const date = new Date(value);
+      if (typeof value === 'boolean' || isNaN(date.getTime())) {
+        return { error: `${label} must be a date` };
+      }
+      return { value: date };
+    }
+
+    case 'select':
+      if (!field.options.includes(value)) {
+        return { error: `${label} must be one of ${field.options.join(', ')}` };
+      }
+      return { value };
+
+    case 'multiselect': {
+      const values = Array.isArray(value) ? value : [value];
+      const invalid = values.filter(item => !field.options.includes(item));
+      if (invalid.length) {
+        return { error: `Invalid ${label} option: ${invalid.join(', ')}` };
+      }
+      return { value: [...new Set(values)] };
+    }
+
+    case 'user':
+      if (!mongoose.isValidObjectId(value) || !isTeamMember(team, value)) {
+        return { error: `${label} must be a member of the team` };
+      }
+      return { value: new mongoose.Types.ObjectId(String(value)) };
+  }
+
+  return { error: `${label} has an unknown type` };
+};
+
+/**
+ * Work out a task's custom field values after a change.
+ *
+ * `current` holds the task's stored values, `input` the values being set
+ * (null or empty clears a field). Stored values the team no longer accepts,
+ * e.g. after moving the task to another team, are dropped; invalid input is
+ * an error. Resolves to { values } or { error }.
+ */
+const resolveCustomValues = (team, current = {}, input = {}) => {
+  const fields = team?.customFields || [];
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Custom fields must be an object of values keyed by field' };
+  }
+
+  const unknown = Object.keys(input).filter(key => !fields.some(field => field.key === key));
+  if (unknown.length) {
+    return {
+      error: team
+        ? `Unknown custom field: ${unknown.join(', ')}`
+        : 'Custom fields can only be set on team tasks'
+    };
+  }
+
+  const values = {};
+  for (const field of fields) {
+    const given = Object.prototype.hasOwnProperty.call(input, field.key);
+    const raw = given ? input[field.key] : current?.[field.key];
+
+    if (isEmpty(raw)) {
+      if (field.required) {
+        return { error: `${field.name || field.key} is required` };
+      }
+      continue;
+    }
+
+    const cast = castValue(field, raw, team);
+    if (cast.error) {
+      if (given) {
+        return { error: cast.error };
+      }
+      if (field.required) {
+        return { error: `${field.name || field.key} is required` };
+      }
+      continue;
+    }
+
+    values[field.key] = cast.value;
+  }
+
+  return { values };
+};
+
+const splitOperator = (value) => {
+  const [, operator = '', rest] = /^(>=|<=|>|<)?(.*)$/.exec(value);
+  return { operator, value: rest };
+};
+
+const comparison = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+
+/**
+ * Build query clauses for the `cf.<key>` filters among `filters`. Number and
+ * date fields take a comparison prefix (cf.points=>=3); list values match any
+ * of them and `none` matches tasks without a value. Filtering needs to know
+ * the field types, so it requires the team filter.
+ */
+const customFieldClauses = (filters, team) => {
+  const keys = Object.keys(filters).filter(key => key.startsWith(FILTER_PREFIX));
+  if (keys.length === 0) {
+    return [];
+  }
+  if (!team) {
+    throw queryError('Filtering on custom fields requires the team filter');
+  }
+
+  return keys.map(name => {
+    const key = name.slice(FILTER_PREFIX.length);
+    const field = (team.customFields || []).find(definition => definition.key === key);
+    if (!field) {
+      throw queryError(`Unknown custom field "${key}"`);
+    }
+
+    const raw = filters[name];
+    if (typeof raw !== 'string' || !raw) {
+      throw queryError(`Invalid value for the ${name} filter`);
+    }
+
+    const path = `customFields.${key}`;
+    if (raw === 'none') {
+      return { [path]: null };
+    }
+
+    const { operator, value } = splitOperator(raw);
+    if (operator) {
+      if (field.type !== 'number' && field.type !== 'date') {
+        throw queryError(`Custom field "${key}" does not support comparison operators`);
+      }
+      const cast = castValue(field, value, team);
+      if (cast.error) {
+        throw queryError(cast.error);
+      }
+      return { [path]: { [comparison[operator]]: cast.value } };
+    }
+
+    // A plain date matches the whole UTC day
+    if (field.type === 'date') {
+      const cast = castValue(field, raw, team);
+      if (cast.error) {
+        throw queryError(cast.error);
+      }
+      const start = Math.floor(cast.value.getTime() / DAY_MS) * DAY_MS;
+      return { [path]: { $gte: new Date(start), $lt: new Date(start + DAY_MS) } };
+    }
+
+    // Text matches exactly; every other type takes a comma-separated list,
+    // and a multi-select matches tasks holding any of the options
+    const items = field.type === 'text' ? [raw] : raw.split(',').map(item => item.trim()).filter(Boolean);
+    const itemField = field.type === 'multiselect'
+      ? { key: field.key, name: field.name, type: 'select', options: field.options }
+      : field;
+
+    const values = items.map(item => {
+      const cast = castValue(itemField, item, team);
+      if (cast.error) {
+        throw queryError(cast.error);
+      }
+      return cast.value;
+    });
+
+    return { [path]: { $in: values } };
+  });
+};
+
+// The document path to sort on for a `cf.<key>` sort field, or null
+const customSortPath = (sortBy) => {
+  if (typeof sortBy !== 'string' || !sortBy.startsWith(FILTER_PREFIX)) {
+    return null;
+  }
+  const key = sortBy.slice(FILTER_PREFIX.length);
+  return KEY_PATTERN.test(key) ? `customFields.${key}` : null;
+};
+
+/**
+ * Clear values a new set of field definitions no longer accepts from the
+ * team's tasks, trashed ones included: removed fields, fields whose type
+ * changed and removed options. The changes are recorded as `actorId`'s.
+ */
+const clearStaleValues = async (teamId, actorId, before = [], after = []) => {
+  for (const old of before) {
+    const path = `customFields.${old.key}`;
+    const field = after.find(definition => definition.key === old.key);
+
+    if (!field || field.type !== old.type) {
+      await updateEveryTask({ team: teamId, [path]: { $exists: true } }, actorId, { $unset: { [path]: 1 } });
+      continue;
+    }
+
+    const removed = (old.options || []).filter(option => !field.options.includes(option));
+    if (removed.length === 0) {
+      continue;
+    }
+
+    if (field.type === 'select') {
+      await updateEveryTask({ team: teamId, [path]: { $in: removed } }, actorId, { $unset: { [path]: 1 } });
+    } else {
+      await updateEveryTask({ team: teamId, [path]: { $in: removed } }, actorId, { $pull: { [path]: { $in: removed } } });
+    }
+  }
+};
+
+module.exports = {
+  FIELD_TYPES,
+  validateFieldDefinitions,
+  resolveCustomValues,
+  customFieldClauses,
+  customSortPath,
+  clearStaleValues
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+/**
+ * ETags for versioned documents. The tag is built from the document's
+ * version key, which changes on every write (see the Task and Team models).
+ * Responses that embed other documents, such as a task with its comments,
+ * add a digest of the whole body: "<id>-<version>.<digest>".
+ */
+
+const etagFor = (doc, body) => {
+  if (body === undefined) {
+    return `"${doc.id}-${doc.__v}"`;
+  }
+
+  const digest = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+  return `"${doc.id}-${doc.__v}.${digest}"`;
+};
+
+// If-Match / If-None-Match may list several tags, or * for any
+const headerTags = (header) => header.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+
+// The tag without the digest of a composite response
+const versionOf = (tag) => tag.replace(/\.[\w-]+"$/, '"');
+
+const setEtag = (res, doc, body) => {
+  res.set('ETag', etagFor(doc, body));
+};
+
+// The client edited an older version than the one stored. Only the version
+// counts, so tags from composite responses work too.
+const isStale = (req, doc) => {
+  const header = req.headers['if-match'];
+  const etag = etagFor(doc);
+  return Boolean(header) && !headerTags(header).some(tag => tag === '*' || versionOf(tag) === etag);
+};
+
+// The client already holds the current response, embedded documents included
+const isNotModified = (req, doc, body) => {
+  const header = req.headers['if-none-match'];
+  const etag = etagFor(doc, body);
+  return Boolean(header) && headerTags(header).some(tag => tag === '*' || tag === etag);
+};
+
+module.exports = {
+  etagFor,
+  setEtag,
+  isStale,
+  isNotModified
+};
@@ -0,0 +1,182 @@
+const { parseRule, formatRule } = require('./recurrence');
+const { initialStatus, isDoneStatus } = require('./workflow');
+
+/**
+ * iCalendar (RFC 5545) feeds of task due dates.
+ *
+ * Tasks come out as VTODO entries, or as VEVENT entries for calendar apps
+ * that don't show to-dos. Due dates at midnight UTC, as stored for plain
+ * dates, become all-day entries. Open recurring tasks carry their RRULE.
+ */
+
+const PRODUCT_ID = '-//collab-tasks//Task Tracker//EN';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LINE_OCTETS = 75;
+
+// Task priorities on the iCalendar 1 (highest) to 9 (lowest) scale
+const PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Split a content line into 75-octet pieces without breaking a character
+const foldLine = (line) => {
+  const pieces = [];
+  let piece = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      pieces.push(piece);
+      piece = '';
+      octets = 0;
+    }
+    piece += char;
+    octets += size;
+  }
+  pieces.push(piece);
+
+  return pieces.join('\r\n ');
+};
+
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+const isAllDay = (date) => date.getTime() % DAY_MS === 0;
+
+// A DATE or DATE-TIME property for a due date
+const dateProperty = (name, date) => {
+  return isAllDay(date) ? `${name};VALUE=DATE:${formatDate(date)}` : `${name}:${formatDateTime(date)}`;
+};
+
+/**
+ * RRULE for an open recurring task. The task is the current occurrence and
+ * starts the series in the feed, so COUNT only counts what is left of it.
+ * UNTIL takes the same value type as the start of the series.
+ */
+const recurrenceLine = (task) => {
+  const parsed = parseRule(task.recurrence.rule);
+
+  if (parsed.count) {
+    parsed.count -= (task.recurrence.occurrence || 1) - 1;
+    if (parsed.count < 1) {
+      return null;
+    }
+  }
+
+  const rule = formatRule(parsed);
+  return `RRULE:${isAllDay(task.dueDate) ? rule.replace(/UNTIL=(\d{8})T\d{6}Z/, 'UNTIL=$1') : rule}`;
+};
+
+const todoStatus = (task, workflow) => {
+  if (isDoneStatus(workflow, task.status)) {
+    return /cancel/i.test(task.status) ? 'CANCELLED' : 'COMPLETED';
+  }
+  return task.status === initialStatus(workflow) ? 'NEEDS-ACTION' : 'IN-PROCESS';
+};
+
+/**
+ * Content lines of one task. `workflow` is the workflow of the task's team
+ * and `url` links back to the task.
+ */
+const taskEntry = (task, { type, workflow, url }) => {
+  const done = isDoneStatus(workflow, task.status);
+  const status = todoStatus(task, workflow);
+  const component = type === 'event' ? 'VEVENT' : 'VTODO';
+
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${task.id}@collab-tasks`,
+    `DTSTAMP:${formatDateTime(task.updatedAt || task.createdAt)}`,
+    `CREATED:${formatDateTime(task.createdAt)}`,
+    `LAST-MODIFIED:${formatDateTime(task.updatedAt || task.createdAt)}`,
+    `SUMMARY:${escapeText(task.title)}`
+  ];
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+
+  // Finished occurrences stand alone; the open one carries the series
+  const rule = task.recurrence?.rule && !done ? recurrenceLine(task) : null;
+
+  if (type === 'event') {
+    // Events only know confirmed and cancelled
+    lines.push(dateProperty('DTSTART', task.dueDate));
+    if (isAllDay(task.dueDate)) {
+      lines.push(`DTEND;VALUE=DATE:${formatDate(new Date(task.dueDate.getTime() + DAY_MS))}`);
+    }
+    lines.push(`STATUS:${status === 'CANCELLED' ? 'CANCELLED' : 'CONFIRMED'}`);
+  } else {
+    // Recurrence counts from DTSTART, so a repeating to-do starts when it is due
+    if (rule) {
+      lines.push(dateProperty('DTSTART', task.dueDate));
+    }
+    lines.push(dateProperty('DUE', task.dueDate));
+    lines.push(`STATUS:${status}`);
+    if (status === 'COMPLETED' && task.completedAt) {
+      lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+    }
+  }
+
+  if (PRIORITIES[task.priority]) {
+    lines.push(`PRIORITY:${PRIORITIES[task.priority]}`);
+  }
+
+  const categories = [...(task.labels || []).map(label => label.name).filter(Boolean), ...(task.tags || [])];
+  if (categories.length > 0) {
+    lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  }
+
+  if (url) {
+    lines.push(`URL:${url}`);
+  }
+
+  if (rule) {
+    lines.push(rule);
+  }
+
+  lines.push(`END:${component}`);
+  return lines;
+};
+
+/**
+ * Render a VCALENDAR of tasks with due dates. `workflowOf` gives a task's
+ * workflow and `taskUrl` its link.
+ */
+const buildCalendar = ({ name, tasks, type = 'todo', workflowOf, taskUrl }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  tasks
+    .filter(task => task.dueDate)
+    .forEach(task => {
+      lines.push(...taskEntry(task, { type, workflow: workflowOf(task), url: taskUrl(task) }));
+    });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar
+};
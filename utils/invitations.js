@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { sendMail } = require('./mail');
+
+/**
+ * Team invitations.
+ *
+ * An invitation carries a random token that is mailed to the invitee. Only a
+ * hash of the token is stored. A token works once and expires after
+ * INVITATION_EXPIRY_DAYS. Inviting an email again while its invitation is
+ * pending renews that invitation with a fresh token.
+ *
+ * Emails that belong to no account yet are claimed when someone registers
+ * with them: the invitation is linked to the new account, whose owner can
+ * then answer it from their own invitations without the token. Registering
+ * doesn't join the team by itself, so nobody ends up in a team they never
+ * agreed to join.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const expiryDays = () => {
+  const days = parseInt(process.env.INVITATION_EXPIRY_DAYS, 10);
+  return days > 0 ? days : 7;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const isExpired = (invitation) => invitation.expiresAt.getTime() <= Date.now();
+
+/**
+ * Invite an email to a team, or renew its pending invitation.
+ * Resolves to { invitation, token }; the token only exists in this result.
+ */
+const issueInvitation = async (team, { email, role }, inviter) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitee = await User.findOne({ email }).select('_id');
+  const now = Date.now();
+
+  const invitation = await Invitation.findOneAndUpdate(
+    { team: team._id, email, status: 'pending' },
+    {
+      $set: {
+        role,
+        tokenHash: hashToken(token),
+        invitee: invitee?._id || null,
+        invitedBy: inviter.id,
+        expiresAt: new Date(now + expiryDays() * DAY_MS),
+        updatedAt: now
+      },
+      $setOnInsert: { createdAt: now }
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  return { invitation, token };
+};
+
+// Mail an invitation with its token; `url` is where the invitation can be looked up
+const mailInvitation = ({ invitation, token, team, inviter, url }) => {
+  return sendMail({
+    to: invitation.email,
+    subject: `${inviter.name} invited you to join ${team.name}`,
+    text: [
+      `${inviter.name} (${inviter.email}) invited you to join the team "${team.name}" as ${invitation.role}.`,
+      '',
+      `Invitation: ${url}`,
+      `Token: ${token}`,
+      '',
+      'Accept it after signing in with this email address, or decline it.',
+      `The invitation expires on ${invitation.expiresAt.toUTCString()}.`
+    ].join('\n')
+  });
+};
+
+// Add a user to a team, unless they are already in it
+const joinTeam = async (teamId, userId, role) => {
+  await Team.updateOne(
+    { _id: teamId, 'members.user': { $ne: userId } },
+    { $push: { members: { user: userId, role, joinedAt: Date.now() } } }
+  );
+  await User.findByIdAndUpdate(userId, { $addToSet: { teams: teamId } });
+};
+
+// Link the pending invitations of a new account's email to it
+const claimInvitations = (user) => {
+  return Invitation.updateMany(
+    { email: user.email, status: 'pending', invitee: null },
+    { invitee: user._id, updatedAt: Date.now() }
+  );
+};
+
+module.exports = {
+  hashToken,
+  isExpired,
+  issueInvitation,
+  mailInvitation,
+  joinTeam,
+  claimInvitations
+};
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const { everyTask, updateEveryTask } = require('./trash');
+const { recordTaskChanges } = require('./activity');
+
+/**
+ * Team labels on tasks.
+ *
+ * A label is matched by its key, the name folded to lowercase letters and
+ * digits, so a team can't end up with "Backend", "backend" and "back-end"
+ * as three labels. Tasks reference labels by ID in `task.labels`; the older
+ * free-text `task.tags` are converted with migrateTags.
+ */
+
+const labelKey = (name) => {
+  return String(name || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+};
+
+/**
+ * Check a list of label IDs for a task of `teamId`, returning { labels }
+ * without duplicates or { error }. Only the team's own labels qualify.
+ */
+const checkLabels = async (labelIds, teamId) => {
+  const ids = [...new Set((Array.isArray(labelIds) ? labelIds : [labelIds]).filter(Boolean).map(String))];
+  if (ids.length === 0) {
+    return { labels: [] };
+  }
+
+  if (!teamId) {
+    return { error: 'Labels can only be set on team tasks' };
+  }
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    return { error: 'Invalid label ID' };
+  }
+
+  const count = await Label.countDocuments({ _id: { $in: ids }, team: teamId });
+  if (count !== ids.length) {
+    return { error: "Labels must belong to the task's team" };
+  }
+
+  return { labels: ids };
+};
+
+// The labels of `teamId` matching the given labels of another team by key
+const carryLabels = async (labelIds, teamId) => {
+  if (!teamId || !labelIds?.length) {
+    return [];
+  }
+
+  const keys = await Label.find({ _id: { $in: labelIds } }).distinct('key');
+  return Label.find({ team: teamId, key: { $in: keys } }).distinct('_id');
+};
+
+/**
+ * Move every task labelled `source` over to `target`, keeping other labels.
+ * The changes are recorded as `actorId`'s, as are those of removeLabel.
+ */
+const retagTasks = (sourceId, targetId, actorId) => {
+  return updateEveryTask(
+    { labels: sourceId },
+    actorId,
+    { $addToSet: { labels: targetId } },
+    { $pull: { labels: sourceId } }
+  );
+};
+
+const removeLabel = (labelId, actorId) => updateEveryTask({ labels: labelId }, actorId, { $pull: { labels: labelId } });
+
+/**
+ * Convert the free-text tags of a team's tasks, trashed ones included, into
+ * labels. Tags naming an existing label (by key) join it, the rest become new
+ * labels named after their most used spelling. With `dryRun` nothing is
+ * written. Resolves to { labels, tasks } describing the conversion.
+ */
+const migrateTags = async (team, user, { dryRun = false } = {}) => {
+  const tasks = [];
+  for (const filter of everyTask({ team: team._id, 'tags.0': { $exists: true } })) {
+    tasks.push(...await Task.find(filter).select('tags labels'));
+  }
+
+  // Count each spelling per key to name new labels after the usual one
+  const spellings = new Map();
+  const taskCounts = new Map();
+  tasks.forEach(task => {
+    const taskKeys = new Set();
+    task.tags.forEach(tag => {
+      const key = labelKey(tag);
+      if (key) {
+        const counts = spellings.get(key) || new Map();
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+        spellings.set(key, counts);
+        taskKeys.add(key);
+      }
+    });
+    taskKeys.forEach(key => {
+      taskCounts.set(key, (taskCounts.get(key) || 0) + 1);
+    });
+  });
+
+  const keys = [...spellings.keys()];
+  const existing = await Label.find({ team: team._id, key: { $in: keys } });
+  const byKey = new Map(existing.map(label => [label.key, label]));
+
+  const labels = [];
+  for (const key of keys) {
+    const counts = spellings.get(key);
+    let label = byKey.get(key);
+
+    if (!label) {
+      const name = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a))[0].slice(0, 50);
+      label = dryRun
+        ? new Label({ team: team._id, name, key, createdBy: user.id })
+        : await Label.create({ team: team._id, name, key, createdBy: user.id });
+      byKey.set(key, label);
+    }
+
+    labels.push({
+      label,
+      created: !existing.includes(label),
+      tags: [...counts.keys()],
+      tasks: taskCounts.get(key)
+    });
+  }
+
+  // Tags that fold to nothing (e.g. only punctuation) stay as they are
+  if (!dryRun && tasks.length > 0) {
+    await Task.bulkWrite(tasks.map(task => {
+      const labelIds = task.tags.map(tag => byKey.get(labelKey(tag))?._id).filter(Boolean);
+
+      return {
+        updateOne: {
+          filter: { _id: task._id },
+          update: {
+            $addToSet: { labels: { $each: labelIds } },
+            $set: { tags: task.tags.filter(tag => !labelKey(tag)) },
+            $inc: { __v: 1 }
+          }
+        }
+      };
+    }));
+
+    const migrated = [];
+    for (const filter of everyTask({ _id: { $in: tasks.map(task => task._id) } })) {
+      migrated.push(...await Task.find(filter).select('tags labels'));
+    }
+    await recordTaskChanges(tasks, migrated, ['tags', 'labels'], user.id);
+  }
+
+  return { labels, tasks: tasks.length };
+};
+
+module.exports = {
+  labelKey,
+  checkLabels,
+  carryLabels,
+  retagTasks,
+  removeLabel,
+  migrateTags
+};
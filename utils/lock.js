@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const os = require('os');
+const Lock = require('../models/Lock');
+
+/**
+ * Locks shared by every server instance through MongoDB, so a scheduled job
+ * runs on one instance at a time. A lock expires after its time to live in
+ * case its holder stops without releasing it; jobs that run longer keep
+ * renewing it.
+ */
+
+// Identifies this process among the instances sharing the database
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Jobs running in this process, which never start a second run of the same job
+const running = new Set();
+
+/**
+ * Take the named lock for `ttlMs` unless anyone holds it, this process
+ * included. Resolves to the owner token needed to renew and release it, or
+ * null when the lock is taken.
+ */
+const acquireLock = async (name, ttlMs) => {
+  const now = new Date();
+  const owner = `${INSTANCE_ID}:${crypto.randomBytes(4).toString('hex')}`;
+
+  try {
+    await Lock.findOneAndUpdate(
+      { _id: name, expiresAt: { $lte: now } },
+      { owner, expiresAt: new Date(now.getTime() + ttlMs) },
+      { upsert: true }
+    );
+    return owner;
+  } catch (error) {
+    // Someone holds the lock, so the upsert hit its _id
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Push back the expiry of a lock still held by `owner`
+const renewLock = (name, owner, ttlMs) => {
+  return Lock.updateOne({ _id: name, owner }, { expiresAt: new Date(Date.now() + ttlMs) });
+};
+
+const releaseLock = (name, owner) => Lock.deleteOne({ _id: name, owner });
+
+/**
+ * Run `job` under the named lock, renewing it while the job runs. Resolves
+ * to { ran: false } when the job is still running here or another instance
+ * holds the lock, else { ran: true, result }.
+ */
+const withLock = async (name, ttlMs, job) => {
+  if (running.has(name)) {
+    return { ran: false };
+  }
+  running.add(name);
+
+  try {
+    const owner = await acquireLock(name, ttlMs);
+    if (!owner) {
+      return { ran: false };
+    }
+
+    const renewal = setInterval(() => {
+      renewLock(name, owner, ttlMs)
+        .catch(error => console.error(`Renewing lock "${name}" failed: ${error.message}`));
+    }, ttlMs / 3).unref();
+
+    try {
+      return { ran: true, result: await job() };
+    } finally {
+      clearInterval(renewal);
+      await releaseLock(name, owner);
+    }
+  } finally {
+    running.delete(name);
+  }
+};
+
+module.exports = {
+  acquireLock,
+  renewLock,
+  releaseLock,
+  withLock
+};
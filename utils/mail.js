@@ -0,0 +1,72 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Outgoing mail.
+ *
+ * Messages go out through a transport, an async function taking
+ * { from, to, subject, text }. Deployments plug in a real one (SMTP, a mail
+ * API) with setMailTransport at startup. Until then MAIL_TRANSPORT picks a
+ * built-in one:
+ *
+ *   file  (default) write each message to MAIL_DIR as an .eml file, for development
+ *   none  drop messages
+ */
+
+const DEFAULT_FROM = 'Task Tracker <no-reply@localhost>';
+
+// Header values are single lines; a line break would start another header
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+// Development stand-in: one .eml file per message, readable by any mail client
+const fileTransport = async ({ from, to, subject, text }) => {
+  const dir = process.env.MAIL_DIR || 'mail';
+  const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+
+  const message = [
+    `From: ${headerValue(from)}`,
+    `To: ${headerValue(to)}`,
+    `Subject: ${headerValue(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text
+  ].join('\r\n');
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, name), message);
+};
+
+const builtInTransports = {
+  file: fileTransport,
+  none: async () => {}
+};
+
+let transport = null;
+
+const setMailTransport = (custom) => {
+  transport = custom;
+};
+
+const currentTransport = () => {
+  if (transport) {
+    return transport;
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'file';
+  if (!builtInTransports[name]) {
+    throw new Error(`Unknown mail transport "${name}". Use one of ${Object.keys(builtInTransports).join(', ')}`);
+  }
+  return builtInTransports[name];
+};
+
+const sendMail = ({ to, subject, text }) => {
+  return currentTransport()({ from: process.env.MAIL_FROM || DEFAULT_FROM, to, subject, text });
+};
+
+module.exports = {
+  setMailTransport,
+  sendMail
+};
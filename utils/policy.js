@@ -0,0 +1,149 @@
+const Team = require('../models/Team');
+const Task = require('../models/Task');
+
+/**
+ * Authorization policy.
+ *
+ * Who may see and change what. Controllers ask these functions rather than
+ * comparing IDs themselves:
+ *
+ * - Site admins may do anything.
+ * - Team members see their team and everything in it. Its owners and admins
+ *   manage it.
+ * - A team task, with its comments, attachments and logged time, is open to
+ *   the members of its team only. A private task (one without a team) is
+ *   open to its creator and assignees only.
+ * - Of the people who can see a task, its creator and assignees change it
+ *   and its creator deletes it.
+ * - Comments, attachments, worklogs, saved views and templates are changed
+ *   by whoever made them.
+ */
+
+// The ID of a reference, whether it is populated or not
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+const isAdmin = (user) => user.role === 'admin';
+
+const isSelf = (ref, user) => Boolean(ref) && idOf(ref) === String(user.id);
+
+const isOwnerOrAdmin = (ref, user) => isAdmin(user) || isSelf(ref, user);
+
+// A user's role in a loaded team, or null for non-members
+const teamRole = (team, userId) => {
+  return team.members.find(member => idOf(member.user) === String(userId))?.role || null;
+};
+
+const isTeamMember = (team, userId) => teamRole(team, userId) !== null;
+
+const canViewTeam = (team, user) => isAdmin(user) || isTeamMember(team, user.id);
+
+const canManageTeam = (team, user) => isAdmin(user) || ['owner', 'admin'].includes(teamRole(team, user.id));
+
+// Membership by team ID, without loading the team
+const isMemberOf = async (teamId, user) => {
+  return Boolean(teamId && await Team.exists({ _id: idOf(teamId), 'members.user': user.id }));
+};
+
+/**
+ * Look up a team and what the user may do in it.
+ * Resolves to { team, canView, canManage }, or {} if there is no such team.
+ */
+const loadTeamAccess = async (teamId, user) => {
+  const team = await Team.findById(teamId);
+  if (!team) {
+    return {};
+  }
+
+  return {
+    team,
+    canView: canViewTeam(team, user),
+    canManage: canManageTeam(team, user)
+  };
+};
+
+const isTaskPerson = (task, user) => isSelf(task.createdBy, user) || task.isAssignee(user.id);
+
+const canViewTask = async (task, user) => {
+  if (isAdmin(user)) {
+    return true;
+  }
+  return task.team ? isMemberOf(task.team, user) : isTaskPerson(task, user);
+};
+
+const canEditTask = async (task, user) => {
+  return isAdmin(user) || (isTaskPerson(task, user) && await canViewTask(task, user));
+};
+
+const canDeleteTask = async (task, user) => {
+  return isAdmin(user) || (isSelf(task.createdBy, user) && await canViewTask(task, user));
+};
+
+// Trashed tasks come back through their creator or whoever deleted them
+const canRestoreTask = async (task, user) => {
+  return isAdmin(user) ||
+    ((isSelf(task.createdBy, user) || isSelf(task.deletedBy, user)) && await canViewTask(task, user));
+};
+
+// Comments, attachments and worklogs are as visible as the task they belong to
+const canViewTaskOf = async (doc, user) => {
+  if (isAdmin(user)) {
+    return true;
+  }
+
+  const task = await Task.findById(doc.task);
+  return Boolean(task) && canViewTask(task, user);
+};
+
+/**
+ * Load what a user can see of task lists: `query` narrows a task query to
+ * the visible tasks (null for admins, who see all), `canSee` checks a
+ * loaded task the same way.
+ */
+const loadTaskVisibility = async (user) => {
+  if (isAdmin(user)) {
+    return { query: null, canSee: () => true };
+  }
+
+  const teamIds = await Team.find({ 'members.user': user.id }).distinct('_id');
+  const teams = new Set(teamIds.map(String));
+
+  return {
+    query: {
+      $or: [
+        { team: { $in: teamIds } },
+        { team: null, $or: [{ createdBy: user.id }, Task.assignedToQuery(user.id)] }
+      ]
+    },
+    canSee: (task) => (task.team ? teams.has(idOf(task.team)) : isTaskPerson(task, user))
+  };
+};
+
+// Narrow a task query to the tasks `user` can see
+const scopeTaskQuery = async (query, user) => {
+  const { query: visible } = await loadTaskVisibility(user);
+  return visible ? { ...query, $and: [...(query.$and || []), visible] } : query;
+};
+
+// Owners use their saved views and templates, team members those shared with their team
+const canUseShared = async (resource, user) => {
+  return isOwnerOrAdmin(resource.owner, user) || isMemberOf(resource.team, user);
+};
+
+module.exports = {
+  isAdmin,
+  isSelf,
+  isOwnerOrAdmin,
+  isTeamMember,
+  canViewTeam,
+  canManageTeam,
+  isMemberOf,
+  loadTeamAccess,
+  canViewTask,
+  canEditTask,
+  canDeleteTask,
+  canRestoreTask,
+  canViewTaskOf,
+  loadTaskVisibility,
+  scopeTaskQuery,
+  canUseShared
+};
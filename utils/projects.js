@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Milestone = require('../models/Milestone');
+const Task = require('../models/Task');
+const { loadDoneCheck } = require('./workflow');
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+
+/**
+ * Work out a task's project and milestone after a change.
+ *
+ * `current` holds the task's stored values, `input` the values being set
+ * (null clears one) and `teamId` the task's team after the change. A
+ * milestone of a project puts the task in that project, and switching
+ * projects drops a milestone of the old one.
+ * Resolves to { values } or { error }.
+ */
+const resolveGrouping = async (teamId, current = {}, input = {}) => {
+  let project = input.project !== undefined ? input.project || null : current.project || null;
+  let milestone = input.milestone !== undefined ? input.milestone || null : current.milestone || null;
+
+  if (!project && !milestone) {
+    return { values: { project: null, milestone: null } };
+  }
+  if (!teamId) {
+    return { error: 'Projects and milestones can only be set on team tasks' };
+  }
+
+  if (project) {
+    if (!mongoose.isValidObjectId(project)) {
+      return { error: 'Invalid project ID' };
+    }
+
+    const projectDoc = await Project.findById(project).select('team status');
+    if (!projectDoc || !sameId(projectDoc.team, teamId)) {
+      return { error: "Project must belong to the task's team" };
+    }
+    if (input.project && projectDoc.status === 'archived') {
+      return { error: 'Cannot add tasks to an archived project' };
+    }
+  }
+
+  if (milestone) {
+    if (!mongoose.isValidObjectId(milestone)) {
+      return { error: 'Invalid milestone ID' };
+    }
+
+    const milestoneDoc = await Milestone.findById(milestone).select('team project');
+    if (!milestoneDoc || !sameId(milestoneDoc.team, teamId)) {
+      return { error: "Milestone must belong to the task's team" };
+    }
+
+    if (milestoneDoc.project && !sameId(milestoneDoc.project, project)) {
+      if (input.milestone && input.project !== undefined) {
+        return { error: 'Milestone belongs to another project' };
+      }
+      if (input.project !== undefined) {
+        milestone = null;
+      } else {
+        project = milestoneDoc.project;
+      }
+    }
+  }
+
+  return { values: { project, milestone } };
+};
+
+/**
+ * Add task completion to milestones: `progress` counts their tasks and the
+ * finished ones by each team's workflow, and `late` flags milestones past
+ * their due date with work still open.
+ */
+const withProgress = async (milestones) => {
+  const tasks = await Task.find({ milestone: { $in: milestones.map(milestone => milestone._id) } })
+    .select('status team milestone');
+  const isTaskDone = await loadDoneCheck(tasks);
+  const now = new Date();
+
+  return milestones.map(milestone => {
+    const own = tasks.filter(task => sameId(task.milestone, milestone._id));
+    const done = own.filter(isTaskDone).length;
+    const complete = own.length > 0 && done === own.length;
+
+    return {
+      ...milestone.toObject(),
+      progress: {
+        total: own.length,
+        done,
+        percent: own.length > 0 ? Math.round((done / own.length) * 100) : 0
+      },
+      late: Boolean(milestone.dueDate && milestone.dueDate < now && !complete)
+    };
+  });
+};
+
+module.exports = {
+  resolveGrouping,
+  withProgress
+};
@@ -0,0 +1,150 @@
+const Task = require('../models/Task');
+
+/**
+ * Manual ordering of tasks within a board column: a team and status, or for
+ * private tasks their creator and status.
+ *
+ * Ranks are base-36 strings compared lexicographically, in the spirit of
+ * lexorank: there is always room for a rank between two others, so moving a
+ * card only rewrites that card's rank. Ranks never end in "0", which keeps
+ * that property. Long ranks from many moves into the same gap are evened out
+ * by rebalancing the column.
+ */
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const MAX_RANK_LENGTH = 24;
+
+/**
+ * A rank strictly between `a` and `b`. Pass null for `a` to rank before
+ * everything and null for `b` to rank after everything.
+ */
+const rankBetween = (a, b) => {
+  const low = a || '';
+
+  if (b !== null && b !== undefined) {
+    if (low >= b) {
+      throw new Error(`Rank "${low}" must come before "${b}"`);
+    }
+
+    // Keep the shared prefix and work on what follows it
+    let prefix = 0;
+    while ((low[prefix] || '0') === b[prefix]) {
+      prefix++;
+    }
+    if (prefix > 0) {
+      return b.slice(0, prefix) + rankBetween(low.slice(prefix), b.slice(prefix));
+    }
+  }
+
+  const lowDigit = low ? DIGITS.indexOf(low[0]) : 0;
+  const highDigit = b ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+  if (highDigit - lowDigit > 1) {
+    return DIGITS[Math.round((lowDigit + highDigit) / 2)];
+  }
+
+  // Adjacent digits: a longer b leaves room at its first digit, otherwise
+  // extend a past its first digit
+  if (b && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return DIGITS[lowDigit] + rankBetween(low.slice(1), null);
+};
+
+/**
+ * `count` evenly spaced ranks in ascending order
+ */
+const evenRanks = (count) => {
+  let width = 1;
+  while (DIGITS.length ** width <= count) {
+    width++;
+  }
+
+  const space = DIGITS.length ** width;
+  return Array.from({ length: count }, (value, index) => {
+    const position = Math.floor(((index + 1) * space) / (count + 1));
+    return position.toString(36).padStart(width, '0').replace(/0+$/, '');
+  });
+};
+
+// `column` holds the team of the tasks and, for private tasks, their creator
+// (a task will do)
+const columnQuery = ({ team, createdBy }, status) => {
+  return team ? { team, status } : { team: null, createdBy, status };
+};
+
+// Tasks of a column in board order; unranked tasks first, oldest first
+const findColumn = (column, status) => {
+  return Task.find(columnQuery(column, status)).sort({ rank: 1, createdAt: 1, _id: 1 });
+};
+
+/**
+ * Give every task in a column a fresh, evenly spaced rank, keeping their
+ * current order. Resolves to the tasks with their new ranks.
+ */
+const rebalanceColumn = async (column, status) => {
+  const tasks = await findColumn(column, status).select('rank');
+  if (tasks.length === 0) {
+    return tasks;
+  }
+
+  const ranks = evenRanks(tasks.length);
+
+  await Task.bulkWrite(tasks.map((task, index) => ({
+    updateOne: {
+      filter: { _id: task._id },
+      update: { $set: { rank: ranks[index] }, $inc: { __v: 1 } }
+    }
+  })));
+
+  tasks.forEach((task, index) => {
+    task.rank = ranks[index];
+  });
+  return tasks;
+};
+
+const findLastRank = async (column, status) => {
+  const last = await Task.findOne({ ...columnQuery(column, status), rank: { $ne: null } })
+    .sort({ rank: -1 })
+    .select('rank');
+
+  return last ? last.rank : null;
+};
+
+// Rank that puts a new task at the bottom of its column
+const appendRank = async (column, status) => {
+  const rank = rankBetween(await findLastRank(column, status), null);
+  if (rank.length <= MAX_RANK_LENGTH) {
+    return rank;
+  }
+
+  // Each append narrows the room after the last task, so even the column out
+  const tasks = await rebalanceColumn(column, status);
+  return rankBetween(tasks[tasks.length - 1].rank, null);
+};
+
+// Ranks that put `count` new tasks, in order, at the bottom of their column
+const appendRanks = async (column, status, count) => {
+  const ranks = evenRanks(count);
+  const width = Math.max(...ranks.map(rank => rank.length));
+  let last = await findLastRank(column, status);
+
+  // Ranks that extend the last one sort right after it, as long as that
+  // doesn't make them too long
+  if (last && last.length + width > MAX_RANK_LENGTH) {
+    const tasks = await rebalanceColumn(column, status);
+    last = tasks[tasks.length - 1].rank;
+  }
+
+  return ranks.map(rank => (last ? last + rank : rank));
+};
+
+module.exports = {
+  MAX_RANK_LENGTH,
+  rankBetween,
+  evenRanks,
+  findColumn,
+  rebalanceColumn,
+  appendRank,
+  appendRanks
+};
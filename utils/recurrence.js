@@ -0,0 +1,238 @@
+/**
+ * Recurrence rules for repeating tasks.
+ *
+ * Supports the subset of iCalendar RRULE syntax (RFC 5545) the app needs:
+ *   FREQ=DAILY;INTERVAL=2
+ *   FREQ=WEEKLY;BYDAY=MO,WE,FR
+ *   FREQ=MONTHLY;BYMONTHDAY=15    (negative days count from month end)
+ * optionally bounded by UNTIL=20251231 or COUNT=10.
+ *
+ * A task's dueDate is the first occurrence of the series. All date math is
+ * done in UTC so the time of day carries over between occurrences.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const ALLOWED_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL', 'COUNT'];
+
+const parsePositiveInt = (value, name) => {
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return parseInt(value, 10);
+};
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error('UNTIL must be a date in YYYYMMDD or YYYYMMDDTHHMMSSZ format');
+  }
+
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Parse a rule string into its parts, throwing an Error with a readable
+ * message when the rule is outside the supported subset
+ */
+const parseRule = (rule) => {
+  if (typeof rule !== 'string' || !rule.trim()) {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const parts = {};
+  const body = rule.trim().toUpperCase().replace(/^RRULE:/, '');
+
+  for (const segment of body.split(';').filter(Boolean)) {
+    const [key, value] = segment.split('=');
+
+    if (!ALLOWED_PARTS.includes(key) || !value) {
+      throw new Error(`Unsupported recurrence rule part: ${segment}`);
+    }
+    if (parts[key] !== undefined) {
+      throw new Error(`Recurrence rule part ${key} is given more than once`);
+    }
+    parts[key] = value;
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  const parsed = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parsePositiveInt(parts.INTERVAL, 'INTERVAL') : 1
+  };
+
+  if (parts.BYDAY) {
+    if (parsed.freq !== 'WEEKLY') {
+      throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+    }
+
+    const days = parts.BYDAY.split(',');
+    const invalid = days.filter(day => !WEEKDAYS.includes(day));
+    if (invalid.length) {
+      throw new Error(`Invalid BYDAY value: ${invalid.join(', ')}`);
+    }
+    parsed.byDay = [...new Set(days.map(day => WEEKDAYS.indexOf(day)))].sort();
+  }
+
+  if (parts.BYMONTHDAY) {
+    if (parsed.freq !== 'MONTHLY') {
+      throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+    }
+
+    const day = parseInt(parts.BYMONTHDAY, 10);
+    if (!/^-?\d+$/.test(parts.BYMONTHDAY) || day === 0 || day < -31 || day > 31) {
+      throw new Error('BYMONTHDAY must be between 1 and 31, or -1 and -31');
+    }
+    parsed.byMonthDay = day;
+  }
+
+  if (parts.UNTIL && parts.COUNT) {
+    throw new Error('UNTIL and COUNT cannot be used together');
+  }
+  if (parts.UNTIL) {
+    parsed.until = parseUntil(parts.UNTIL);
+  }
+  if (parts.COUNT) {
+    parsed.count = parsePositiveInt(parts.COUNT, 'COUNT');
+  }
+
+  return parsed;
+};
+
+/**
+ * Render a parsed rule back to its canonical string form
+ */
+const formatRule = (parsed) => {
+  const parts = [`FREQ=${parsed.freq}`];
+
+  if (parsed.interval > 1) {
+    parts.push(`INTERVAL=${parsed.interval}`);
+  }
+  if (parsed.byDay) {
+    parts.push(`BYDAY=${parsed.byDay.map(day => WEEKDAYS[day]).join(',')}`);
+  }
+  if (parsed.byMonthDay) {
+    parts.push(`BYMONTHDAY=${parsed.byMonthDay}`);
+  }
+  if (parsed.until) {
+    parts.push(`UNTIL=${parsed.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+  if (parsed.count) {
+    parts.push(`COUNT=${parsed.count}`);
+  }
+
+  return parts.join(';');
+};
+
+const nextMonthly = (parsed, from) => {
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth();
+  const wanted = parsed.byMonthDay || from.getUTCDate();
+
+  const dayIn = (y, m) => {
+    const length = daysInMonth(y, m);
+    const day = wanted > 0 ? wanted : length + wanted + 1;
+    return day >= 1 && day <= length ? day : null;
+  };
+
+  // A BYMONTHDAY later in the current month comes before the next interval
+  const sameMonthDay = dayIn(year, month);
+  if (sameMonthDay && sameMonthDay > from.getUTCDate()) {
+    const candidate = new Date(from);
+    candidate.setUTCDate(sameMonthDay);
+    return candidate;
+  }
+
+  // Months without the wanted day (e.g. the 31st) are skipped, as RFC 5545 does
+  for (let step = 1; step <= 12 * 4; step++) {
+    const target = new Date(Date.UTC(year, month + step * parsed.interval, 1));
+    const day = dayIn(target.getUTCFullYear(), target.getUTCMonth());
+
+    if (day) {
+      const candidate = new Date(from);
+      candidate.setUTCFullYear(target.getUTCFullYear(), target.getUTCMonth(), day);
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+const nextWeekly = (parsed, from) => {
+  if (!parsed.byDay) {
+    return new Date(from.getTime() + 7 * parsed.interval * DAY_MS);
+  }
+
+  // Weeks start on Monday; look for a later day this week, then jump ahead
+  const weekday = (day) => (day + 6) % 7;
+  const current = weekday(from.getUTCDay());
+  const days = parsed.byDay.map(weekday).sort((a, b) => a - b);
+
+  const laterThisWeek = days.find(day => day > current);
+  if (laterThisWeek !== undefined) {
+    return new Date(from.getTime() + (laterThisWeek - current) * DAY_MS);
+  }
+
+  const weekStart = from.getTime() - current * DAY_MS;
+  return new Date(weekStart + (7 * parsed.interval + days[0]) * DAY_MS);
+};
+
+/**
+ * Get the occurrence that follows `from`, or null once the series has ended.
+ * `occurrence` is the 1-based position of `from` in the series and is used
+ * to honour COUNT.
+ */
+const nextOccurrence = (parsed, from, occurrence = 1) => {
+  if (parsed.count && occurrence >= parsed.count) {
+    return null;
+  }
+
+  let next;
+  if (parsed.freq === 'DAILY') {
+    next = new Date(from.getTime() + parsed.interval * DAY_MS);
+  } else if (parsed.freq === 'WEEKLY') {
+    next = nextWeekly(parsed, from);
+  } else {
+    next = nextMonthly(parsed, from);
+  }
+
+  if (!next || (parsed.until && next > parsed.until)) {
+    return null;
+  }
+
+  return next;
+};
+
+/**
+ * List up to `limit` occurrences following `from`
+ */
+const upcomingOccurrences = (parsed, from, limit, occurrence = 1) => {
+  const dates = [];
+  let current = from;
+  let position = occurrence;
+
+  while (dates.length < limit) {
+    current = nextOccurrence(parsed, current, position);
+    if (!current) {
+      break;
+    }
+    position += 1;
+    dates.push(current);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  parseRule,
+  formatRule,
+  nextOccurrence,
+  upcomingOccurrences
+};
@@ -0,0 +1,146 @@
+const { EventEmitter } = require('events');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Reminder = require('../models/Reminder');
+const { loadDoneCheck } = require('./workflow');
+const { withLock } = require('./lock');
+
+/**
+ * Due date reminders and overdue detection.
+ *
+ * A timer started with the server looks for open tasks nearing their due
+ * date and reminds each assignee once per lead time they chose, then marks
+ * tasks whose due date has passed as overdue. Both go out as events on
+ * `reminderEvents` for notification channels to pick up:
+ *
+ *   reminder  { user, task, leadTime }  task is due within leadTime minutes
+ *   overdue   { user, task }            task has just become overdue
+ *
+ * Runs take a Mongo lock, so only one server instance checks at a time.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const CHECK_INTERVAL_MS = MINUTE_MS;
+const LOCK_TTL_MS = 5 * MINUTE_MS;
+const DEFAULT_LEAD_TIMES = [24 * 60];
+
+const reminderEvents = new EventEmitter();
+
+const leadTimesOf = (user) => user.reminders?.leadTimes ?? DEFAULT_LEAD_TIMES;
+
+// Record a reminder before sending it; resolves to false if it already went out
+const claimReminder = async (task, userId, leadTime) => {
+  const { upsertedCount } = await Reminder.updateOne(
+    { task: task._id, user: userId, leadTime, dueDate: task.dueDate },
+    { $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+  return upsertedCount === 1;
+};
+
+// Everyone assigned to a task, including the legacy single assignee
+const assigneesOf = (task) => {
+  return [...new Set([task.assignedTo, ...task.assignees].filter(Boolean).map(String))];
+};
+
+// Open tasks among a batch, judged by each team's workflow
+const openTasks = async (tasks) => {
+  const isTaskDone = await loadDoneCheck(tasks);
+  return tasks.filter(task => !isTaskDone(task));
+};
+
+/**
+ * Mark open tasks whose due date has passed as overdue, telling their
+ * assignees. Resolves to the number of tasks marked.
+ */
+const markOverdue = async (now) => {
+  const candidates = await Task.find({ dueDate: { $lt: now }, overdue: { $ne: true }, completedAt: null })
+    .select('title status team dueDate assignedTo assignees');
+  const overdue = await openTasks(candidates);
+
+  if (overdue.length === 0) {
+    return 0;
+  }
+
+  await Task.updateMany(
+    { _id: { $in: overdue.map(task => task._id) }, overdue: { $ne: true } },
+    { overdue: true }
+  );
+
+  overdue.forEach(task => {
+    assigneesOf(task).forEach(user => reminderEvents.emit('overdue', { user, task }));
+  });
+
+  return overdue.length;
+};
+
+/**
+ * Remind assignees of open tasks due within one of their lead times.
+ * Resolves to the number of reminders sent.
+ */
+const sendReminders = async (now) => {
+  const longest = Math.max(...DEFAULT_LEAD_TIMES, ...await User.distinct('reminders.leadTimes'));
+
+  const candidates = await Task.find({
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + longest * MINUTE_MS) },
+    completedAt: null,
+    $or: [{ 'assignees.0': { $exists: true } }, { assignedTo: { $ne: null } }]
+  }).select('title status team dueDate assignedTo assignees');
+  const tasks = await openTasks(candidates);
+
+  const userIds = [...new Set(tasks.flatMap(assigneesOf))];
+  const users = await User.find({ _id: { $in: userIds } }).select('reminders');
+  const leadTimes = Object.fromEntries(users.map(user => [user.id, leadTimesOf(user)]));
+
+  let sent = 0;
+  for (const task of tasks) {
+    const minutesLeft = (task.dueDate.getTime() - now.getTime()) / MINUTE_MS;
+
+    for (const userId of assigneesOf(task)) {
+      // Of the lead times already reached, remind about the closest one
+      const reached = (leadTimes[userId] || []).filter(leadTime => leadTime >= minutesLeft);
+      if (reached.length === 0) {
+        continue;
+      }
+
+      const leadTime = Math.min(...reached);
+      if (await claimReminder(task, userId, leadTime)) {
+        reminderEvents.emit('reminder', { user: userId, task, leadTime });
+        sent++;
+      }
+    }
+  }
+
+  return sent;
+};
+
+const runReminders = async (now = new Date()) => ({
+  reminders: await sendReminders(now),
+  overdue: await markOverdue(now)
+});
+
+/**
+ * Check now and then every minute, on whichever instance holds the lock.
+ * The timer doesn't keep the process alive.
+ */
+const startReminders = () => {
+  const run = () => {
+    withLock('reminders', LOCK_TTL_MS, () => runReminders())
+      .then(({ ran, result }) => {
+        if (ran && (result.reminders > 0 || result.overdue > 0)) {
+          console.log(`Sent ${result.reminders} reminder(s), marked ${result.overdue} task(s) overdue`);
+        }
+      })
+      .catch(error => console.error(`Reminder check failed: ${error.message}`));
+  };
+
+  run();
+  return setInterval(run, CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  DEFAULT_LEAD_TIMES,
+  reminderEvents,
+  runReminders,
+  startReminders
+};
@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const Label = require('../models/Label');
+const { labelKey } = require('./labels');
+
+/**
+ * Task search query language, used by the `q` parameter of GET /api/tasks.
+ *
+ *   status:open,in-progress priority:>=high assignee:me due:<7d
+ *   tag:backend -tag:wontfix "login bug"
+ *
+ * Terms are ANDed together. `field:a,b` matches any of the values and a
+ * leading `-` negates a term. Bare words and "quoted phrases" become a full
+ * text search on title and description. `tag:` matches free-text tags and
+ * team labels by key, since migrated tags live on as labels.
+ */
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Fields tasks can be sorted by through `sortBy`
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'completedAt', 'title', 'status', 'rank'];
+
+const FIELDS = {
+  status: { type: 'list', path: 'status' },
+  priority: { type: 'priority', path: 'priority' },
+  assignee: { type: 'assignee' },
+  creator: { type: 'id', path: 'createdBy', allowMe: true },
+  team: { type: 'id', path: 'team' },
+  tag: { type: 'tag' },
+  due: { type: 'date', path: 'dueDate' },
+  created: { type: 'date', path: 'createdAt' },
+  completed: { type: 'date', path: 'completedAt' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The UTC day containing a point in time
+const dayRange = (time) => {
+  const start = Math.floor(time / DAY_MS) * DAY_MS;
+  return { start: new Date(start), end: new Date(start + DAY_MS) };
+};
+
+// Errors carry a statusCode so callers can answer 400 rather than 500
+const queryError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Split a query into terms, keeping quoted values together
+ */
+const tokenize = (q) => {
+  const tokens = [];
+  let i = 0;
+
+  const readValue = () => {
+    if (q[i] === '"') {
+      const end = q.indexOf('"', i + 1);
+      if (end === -1) {
+        throw queryError(`Unterminated quote at position ${i + 1}`);
+      }
+      const value = q.slice(i + 1, end);
+      i = end + 1;
+      return { value, quoted: true };
+    }
+
+    const start = i;
+    while (i < q.length && !/\s/.test(q[i])) {
+      i++;
+    }
+    return { value: q.slice(start, i), quoted: false };
+  };
+
+  while (i < q.length) {
+    if (/\s/.test(q[i])) {
+      i++;
+      continue;
+    }
+
+    const negate = q[i] === '-' && i + 1 < q.length && !/\s/.test(q[i + 1]);
+    if (negate) {
+      i++;
+    }
+
+    const field = /^([a-zA-Z]+):/.exec(q.slice(i));
+    if (field) {
+      i += field[0].length;
+      const { value } = readValue();
+      tokens.push({ negate, field: field[1].toLowerCase(), value });
+    } else {
+      const { value, quoted } = readValue();
+      tokens.push({ negate, text: value, quoted });
+    }
+  }
+
+  return tokens;
+};
+
+const splitOperator = (value) => {
+  const [, operator = '', rest] = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+  return { operator, value: rest };
+};
+
+const splitList = (field, value) => {
+  const values = value.split(',').map(item => item.trim()).filter(Boolean);
+  if (values.length === 0) {
+    throw queryError(`Missing value for ${field}`);
+  }
+  return values;
+};
+
+const resolveId = (field, value, user, allowMe) => {
+  if (allowMe && value === 'me') {
+    return user.id;
+  }
+  if (!mongoose.isValidObjectId(value)) {
+    throw queryError(`Invalid ${field} "${value}"`);
+  }
+  return value;
+};
+
+const priorityClause = (path, operator, value) => {
+  if (!operator || operator === '=') {
+    const values = splitList('priority', value);
+    const invalid = values.filter(priority => !PRIORITIES.includes(priority));
+    if (invalid.length) {
+      throw queryError(`Invalid priority "${invalid[0]}". Use one of ${PRIORITIES.join(', ')}`);
+    }
+    return { [path]: { $in: values } };
+  }
+
+  const rank = PRIORITIES.indexOf(value);
+  if (rank === -1) {
+    throw queryError(`Invalid priority "${value}". Use one of ${PRIORITIES.join(', ')}`);
+  }
+
+  const matches = {
+    '>': (index) => index > rank,
+    '>=': (index) => index >= rank,
+    '<': (index) => index < rank,
+    '<=': (index) => index <= rank
+  }[operator];
+
+  return { [path]: { $in: PRIORITIES.filter((priority, index) => matches(index)) } };
+};
+
+/**
+ * Turn a date value into a time range. Calendar dates (2026-10-31, today,
+ * tomorrow, yesterday) cover the whole UTC day; offsets from now (7d, -2w)
+ * are a single instant.
+ */
+const resolveDate = (field, value) => {
+  const now = Date.now();
+
+  const named = { today: 0, tomorrow: 1, yesterday: -1 };
+  if (value in named) {
+    return dayRange(now + named[value] * DAY_MS);
+  }
+
+  const offset = /^(-?\d+)([dw])$/.exec(value);
+  if (offset) {
+    const days = parseInt(offset[1], 10) * (offset[2] === 'w' ? 7 : 1);
+    const instant = new Date(now + days * DAY_MS);
+    return { start: instant, end: instant, instant: true };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))) {
+    return dayRange(Date.parse(value));
+  }
+
+  throw queryError(`Invalid date "${value}" for ${field}. Use YYYY-MM-DD, today, or an offset like 7d or -2w`);
+};
+
+const dateClause = (field, path, operator, value) => {
+  if (value === 'none') {
+    if (operator) {
+      throw queryError(`${field}:none cannot be combined with an operator`);
+    }
+    return { [path]: null };
+  }
+
+  const { start, end, instant } = resolveDate(field, value);
+
+  // Without an operator, match the whole day the value falls on
+  if (!operator || operator === '=') {
+    const range = instant ? dayRange(start.getTime()) : { start, end };
+    return { [path]: { $gte: range.start, $lt: range.end } };
+  }
+
+  return {
+    '<': { [path]: { $lt: start } },
+    '<=': { [path]: instant ? { $lte: start } : { $lt: end } },
+    '>': { [path]: instant ? { $gt: start } : { $gte: end } },
+    '>=': { [path]: { $gte: start } }
+  }[operator];
+};
+
+const fieldClause = async ({ field, value: raw }, user) => {
+  const definition = FIELDS[field];
+  if (!definition) {
+    throw queryError(`Unknown field "${field}". Filterable fields: ${Object.keys(FIELDS).join(', ')}`);
+  }
+
+  const { operator, value } = splitOperator(raw);
+  if (!value) {
+    throw queryError(`Missing value for ${field}`);
+  }
+  if (operator && !['priority', 'date'].includes(definition.type)) {
+    throw queryError(`Field ${field} does not support comparison operators`);
+  }
+
+  switch (definition.type) {
+    case 'list':
+      return { [definition.path]: { $in: splitList(field, value) } };
+
+    case 'priority':
+      return priorityClause(definition.path, operator, value);
+
+    case 'date':
+      return dateClause(field, definition.path, operator, value);
+
+    case 'id': {
+      if (value === 'none') {
+        return { [definition.path]: null };
+      }
+      const ids = splitList(field, value).map(id => resolveId(field, id, user, definition.allowMe));
+      return { [definition.path]: { $in: ids } };
+    }
+
+    case 'tag': {
+      const values = splitList(field, value);
+      const labels = await Label.find({ key: { $in: values.map(labelKey) } }).distinct('_id');
+      return { $or: [{ tags: { $in: values } }, { labels: { $in: labels } }] };
+    }
+
+    case 'assignee': {
+      if (value === 'none') {
+        return { assignees: { $size: 0 }, assignedTo: null };
+      }
+      const ids = splitList(field, value).map(id => resolveId(field, id, user, true));
+      return { $or: [{ assignees: { $in: ids } }, { assignedTo: { $in: ids } }] };
+    }
+  }
+};
+
+/**
+ * Parse a search query into Mongo clauses to AND together and a full text
+ * search string. Throws an Error with statusCode 400 on syntax mistakes.
+ */
+const parseSearchQuery = async (q, user) => {
+  if (typeof q !== 'string') {
+    throw queryError('Search query must be a string');
+  }
+
+  const clauses = [];
+  const text = [];
+
+  for (const token of tokenize(q)) {
+    if (token.field) {
+      const clause = await fieldClause(token, user);
+      clauses.push(token.negate ? { $nor: [clause] } : clause);
+    } else if (token.text) {
+      const term = token.quoted ? `"${token.text}"` : token.text;
+      text.push(token.negate ? `-${term}` : term);
+    }
+  }
+
+  return { clauses, text: text.join(' ') };
+};
+
+module.exports = {
+  PRIORITIES,
+  SORTABLE_FIELDS,
+  queryError,
+  parseSearchQuery
+};
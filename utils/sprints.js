@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Sprint = require('../models/Sprint');
+const Task = require('../models/Task');
+const { loadWorkflow, isDoneStatus } = require('./workflow');
+
+const sumPoints = (tasks) => tasks.reduce((sum, task) => sum + (task.storyPoints || 0), 0);
+
+const summarize = (tasks) => ({ count: tasks.length, points: sumPoints(tasks) });
+
+/**
+ * Check that a task in `teamId` can be planned into a sprint, returning an
+ * error message or null. Only open sprints of the task's own team qualify.
+ */
+const checkSprintPlanning = async (sprintId, teamId) => {
+  if (!mongoose.isValidObjectId(sprintId)) {
+    return 'Invalid sprint ID';
+  }
+
+  const sprint = await Sprint.findById(sprintId).select('team status');
+  if (!sprint) {
+    return 'Sprint not found';
+  }
+  if (!teamId || sprint.team.toString() !== String(teamId)) {
+    return 'Tasks can only be planned into a sprint of their own team';
+  }
+  if (sprint.status === 'closed') {
+    return 'Cannot plan tasks into a closed sprint';
+  }
+
+  return null;
+};
+
+// Tasks planned into a sprint after it started
+const findAdded = (sprint, tasks) => {
+  const committedIds = new Set(sprint.committed.tasks.map(id => id.toString()));
+  return tasks.filter(task => !committedIds.has(task.id));
+};
+
+/**
+ * Split a sprint's current tasks into finished and unfinished ones by the
+ * team's workflow
+ */
+const loadSprintProgress = async (sprint) => {
+  const tasks = await Task.find({ sprint: sprint._id }).select('title status storyPoints');
+  const workflow = await loadWorkflow(sprint.team);
+
+  return {
+    done: tasks.filter(task => isDoneStatus(workflow, task.status)),
+    open: tasks.filter(task => !isDoneStatus(workflow, task.status))
+  };
+};
+
+/**
+ * Committed vs completed work of a sprint, in task counts and story points.
+ * Planned sprints forecast from the tasks planned so far; closed sprints
+ * report the snapshot taken when they closed.
+ */
+const buildSprintReport = async (sprint) => {
+  const snapshot = ({ tasks, points }) => ({ count: tasks.length, points });
+
+  let committed;
+  let completed;
+  let remaining;
+  let added = { count: 0, points: 0 };
+
+  if (sprint.status === 'closed') {
+    committed = snapshot(sprint.committed);
+    completed = snapshot(sprint.completed);
+    remaining = snapshot(sprint.rolledOver);
+    added = snapshot(sprint.added);
+  } else {
+    const { done, open } = await loadSprintProgress(sprint);
+    completed = summarize(done);
+    remaining = summarize(open);
+
+    if (sprint.status === 'active') {
+      committed = snapshot(sprint.committed);
+      added = summarize(findAdded(sprint, [...done, ...open]));
+    } else {
+      committed = summarize([...done, ...open]);
+    }
+  }
+
+  const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+  return {
+    sprint: {
+      _id: sprint._id,
+      name: sprint.name,
+      goal: sprint.goal,
+      status: sprint.status,
+      startDate: sprint.startDate,
+      endDate: sprint.endDate
+    },
+    committed,
+    completed,
+    remaining,
+    added,
+    completion: {
+      count: percent(completed.count, committed.count),
+      points: percent(completed.points, committed.points)
+    }
+  };
+};
+
+module.exports = {
+  sumPoints,
+  checkSprintPlanning,
+  loadSprintProgress,
+  findAdded,
+  buildSprintReport
+};
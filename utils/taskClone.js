@@ -0,0 +1,181 @@
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Team = require('../models/Team');
+const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment');
+const Activity = require('../models/Activity');
+const { recordActivity } = require('./activity');
+const { appendRank } = require('./rank');
+const { initialStatus, loadWorkflowLookup } = require('./workflow');
+const { isTeamMember, loadTaskVisibility } = require('./policy');
+
+/**
+ * Copying tasks.
+ *
+ * A clone is a new task created by the cloning user. It starts in its team's
+ * initial status at the bottom of the board column. It keeps the original's
+ * content, grouping and those assignees still in its team. The sprint,
+ * dependencies, watchers, recurrence and history stay behind. Tags and
+ * labels, comments, attachments and subtasks come along when asked for.
+ */
+
+// Fields every clone takes over from its original
+const COPIED_FIELDS = [
+  'title', 'description', 'priority', 'dueDate', 'estimate', 'storyPoints', 'team',
+  'project', 'milestone', 'customFields'
+];
+
+// Copy an attachment's file next to the original, named the way uploads are
+const copyFile = async (attachment) => {
+  const suffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filename = `file-${suffix}${path.extname(attachment.filename)}`;
+  const target = path.join(path.dirname(attachment.path), filename);
+
+  try {
+    await fs.copyFile(attachment.path, target);
+  } catch (error) {
+    throw new Error(`Could not copy attachment "${attachment.originalName}": ${error.message}`);
+  }
+
+  return { filename, path: target };
+};
+
+// Assignees of the sources that may stay on their clones: on team tasks,
+// only current members of the team
+const loadAssigneeCheck = async (sources) => {
+  const teamIds = sources.map(source => source.team).filter(Boolean);
+  const teams = await Team.find({ _id: { $in: teamIds } }).select('members');
+  const teamById = new Map(teams.map(team => [team.id, team]));
+
+  return (source) => {
+    const ids = [...new Set([source.assignedTo, ...source.assignees].filter(Boolean).map(String))];
+    if (!source.team) {
+      return ids;
+    }
+
+    const team = teamById.get(source.team.toString());
+    return team ? ids.filter(id => isTeamMember(team, id)) : [];
+  };
+};
+
+// Undo a clone that failed part way. The clone IDs are new, so everything
+// pointing at them belongs to the clone.
+const discardClones = async (cloneIds, files) => {
+  await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+  await Comment.deleteMany({ task: { $in: cloneIds } });
+  await Attachment.deleteMany({ task: { $in: cloneIds } });
+  await Activity.deleteMany({ task: { $in: cloneIds } });
+  await Task.deleteMany({ _id: { $in: cloneIds } });
+};
+
+// The subtasks `user` can see, leaving out everything below a hidden one.
+// Descendants come level by level, so parents are decided before their children.
+const visibleDescendants = async (task, user) => {
+  const { canSee } = await loadTaskVisibility(user);
+  const kept = new Set([task.id]);
+
+  return (await Task.findDescendants(task._id)).filter(descendant => {
+    if (!kept.has(descendant.parent.toString()) || !canSee(descendant)) {
+      return false;
+    }
+    kept.add(descendant.id);
+    return true;
+  });
+};
+
+/**
+ * Clone a task for `user`. Options: `tags` (tags and labels), `comments`,
+ * `attachments` (with their files), `subtasks` (the tree as far as `user`
+ * can see it, each with the same options) and `title` for the top clone.
+ * Resolves to { task, count } with the top clone and the number of tasks created.
+ */
+const duplicateTask = async (task, user, options = {}) => {
+  const sources = options.subtasks ? [task, ...await visibleDescendants(task, user)] : [task];
+  const sourceIds = sources.map(source => source._id);
+
+  // Clones get their IDs up front so subtasks, comments and attachments can point at them
+  const cloneIds = Object.fromEntries(sources.map(source => [source.id, new mongoose.Types.ObjectId()]));
+
+  const comments = options.comments
+    ? await Comment.find({ task: { $in: sourceIds } }).sort({ createdAt: 1 })
+    : [];
+  const attachments = options.attachments
+    ? await Attachment.find({ task: { $in: sourceIds } }).sort({ createdAt: 1 })
+    : [];
+
+  const workflowOf = await loadWorkflowLookup(sources);
+  const assigneesOf = await loadAssigneeCheck(sources);
+  const files = [];
+
+  try {
+    // Sources run from the top down, so each parent is cloned before its subtasks
+    for (const source of sources) {
+      const cloneId = cloneIds[source.id];
+      const status = initialStatus(workflowOf(source));
+      const copied = Object.fromEntries(COPIED_FIELDS.map(field => [field, source[field]]));
+      const assignees = assigneesOf(source);
+
+      await Task.create({
+        ...copied,
+        _id: cloneId,
+        title: source === task && options.title ? options.title : source.title,
+        status,
+        rank: await appendRank({ team: source.team, createdBy: user.id }, status),
+        assignedTo: assignees[0],
+        assignees,
+        parent: source === task ? task.parent : cloneIds[source.parent.toString()],
+        tags: options.tags ? source.tags : [],
+        labels: options.tags ? source.labels : [],
+        createdBy: user.id
+      });
+
+      await recordActivity(cloneId, user.id, 'created', [
+        { field: 'clonedFrom', oldValue: null, newValue: source._id }
+      ]);
+    }
+
+    for (const attachment of attachments) {
+      files.push(await copyFile(attachment));
+    }
+
+    // Comments keep their authors and dates, copied attachments their uploaders
+    const commentCopies = await Comment.insertMany(comments.map(comment => ({
+      content: comment.content,
+      task: cloneIds[comment.task.toString()],
+      author: comment.author,
+      createdAt: comment.createdAt,
+      updatedAt: comment.updatedAt
+    })));
+
+    const attachmentCopies = await Attachment.insertMany(attachments.map((attachment, index) => ({
+      filename: files[index].filename,
+      originalName: attachment.originalName,
+      mimetype: attachment.mimetype,
+      size: attachment.size,
+      path: files[index].path,
+      task: cloneIds[attachment.task.toString()],
+      uploadedBy: attachment.uploadedBy
+    })));
+
+    const idsFor = (docs, cloneId) => docs.filter(doc => doc.task.equals(cloneId)).map(doc => doc._id);
+
+    for (const cloneId of Object.values(cloneIds)) {
+      const copies = { comments: idsFor(commentCopies, cloneId), attachments: idsFor(attachmentCopies, cloneId) };
+      if (copies.comments.length > 0 || copies.attachments.length > 0) {
+        await Task.updateOne({ _id: cloneId }, copies);
+      }
+    }
+  } catch (error) {
+    await discardClones(Object.values(cloneIds), files)
+      .catch(cleanupError => console.error(`Discarding a failed clone failed: ${cleanupError.message}`));
+    throw error;
+  }
+
+  return { task: await Task.findById(cloneIds[task.id]), count: sources.length };
+};
+
+module.exports = {
+  duplicateTask
+};
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Team = require('../models/Team');
+const { loadDoneCheck } = require('./workflow');
+const { SORTABLE_FIELDS, queryError, parseSearchQuery } = require('./searchQuery');
+const { parseLimit, fetchPage } = require('./cursor');
+const { customFieldClauses, customSortPath } = require('./customFields');
+const { loadTaskVisibility } = require('./policy');
+
+// Filter parameters accepted by GET /api/tasks and stored by saved views,
+// besides the cf.<key> custom field filters
+const TASK_FILTERS = [
+  'status', 'priority', 'assignedTo', 'createdBy', 'team', 'sprint', 'project', 'milestone', 'label', 'blocked',
+  'overdue', 'search', 'q'
+];
+
+// "me" in a user filter stands for whoever runs the query
+const resolveUser = (value, user) => (value === 'me' && user ? user.id : value);
+
+/**
+ * Build a Mongo query from task list filters, as accepted by GET /api/tasks.
+ * Shared by every endpoint that selects tasks the same way. The query only
+ * selects tasks that `user` can see.
+ */
+const buildTaskQuery = async (filters = {}, user) => {
+  const {
+    status,
+    priority,
+    assignedTo,
+    createdBy,
+    team,
+    sprint,
+    project,
+    milestone,
+    label,
+    blocked,
+    overdue,
+    search,
+    q
+  } = filters;
+
+  // Filters are plain values; objects could smuggle in Mongo operators
+  const invalid = TASK_FILTERS.find(key => filters[key] !== null && typeof filters[key] === 'object');
+  if (invalid) {
+    throw queryError(`Invalid value for the ${invalid} filter`);
+  }
+
+  const query = {};
+
+  // Filter by status
+  if (status) {
+    query.status = status;
+  }
+
+  // Filter by priority
+  if (priority) {
+    query.priority = priority;
+  }
+
+  // Filter by assigned user, in any assignee slot
+  if (assignedTo) {
+    Object.assign(query, Task.assignedToQuery(resolveUser(assignedTo, user)));
+  }
+
+  // Filter by creator
+  if (createdBy) {
+    query.createdBy = resolveUser(createdBy, user);
+  }
+
+  // Filter by team
+  if (team) {
+    query.team = team;
+  }
+
+  // Filter by sprint; "none" is the backlog
+  if (sprint) {
+    query.sprint = sprint === 'none' ? null : sprint;
+  }
+
+  // Filter by project and milestone; "none" is tasks outside any
+  if (project) {
+    query.project = project === 'none' ? null : project;
+  }
+
+  if (milestone) {
+    query.milestone = milestone === 'none' ? null : milestone;
+  }
+
+  // Filter by labels, matching any of a comma-separated list; "none" is unlabelled tasks
+  if (label === 'none') {
+    query['labels.0'] = { $exists: false };
+  } else if (label) {
+    const labelIds = String(label).split(',').map(id => id.trim()).filter(Boolean);
+    if (labelIds.some(id => !mongoose.isValidObjectId(id))) {
+      throw queryError('Invalid label ID in the label filter');
+    }
+    query.labels = { $in: labelIds };
+  }
+
+  // Filter by whether any blocking task is still open
+  if (String(blocked) === 'true' || String(blocked) === 'false') {
+    const blockers = await Task.find({ _id: { $in: await Task.distinct('blockedBy') } })
+      .select('status team');
+    const isTaskDone = await loadDoneCheck(blockers);
+    const openBlockerIds = blockers.filter(blocker => !isTaskDone(blocker)).map(blocker => blocker._id);
+
+    query.blockedBy = String(blocked) === 'true'
+      ? { $in: openBlockerIds }
+      : { $nin: openBlockerIds };
+  }
+
+  // Filter by whether the task is past its due date and still open
+  if (String(overdue) === 'true') {
+    query.overdue = true;
+  } else if (String(overdue) === 'false') {
+    query.overdue = { $ne: true };
+  }
+
+  // Apply the search query language; its free text joins the plain search
+  const parsed = q ? await parseSearchQuery(q, user) : { clauses: [], text: '' };
+
+  // Custom field filters are typed by the definitions of the filtered team
+  const teamDoc = team && mongoose.isValidObjectId(team) && Object.keys(filters).some(key => key.startsWith('cf.'))
+    ? await Team.findById(team).select('customFields members')
+    : null;
+  const clauses = [...parsed.clauses, ...customFieldClauses(filters, teamDoc)];
+
+  const { query: visible } = await loadTaskVisibility(user);
+  if (visible) {
+    clauses.push(visible);
+  }
+
+  if (clauses.length > 0) {
+    query.$and = clauses;
+  }
+
+  // Search in title and description
+  const searchText = [search, parsed.text].filter(Boolean).join(' ');
+  if (searchText) {
+    query.$text = { $search: searchText };
+  }
+
+  return query;
+};
+
+const findTasks = (query) => Task.find(query)
+  .populate('createdBy', 'name email')
+  .populate('assignedTo', 'name email')
+  .populate('assignees', 'name email')
+  .populate('team', 'name');
+
+// The path a task list sortBy parameter sorts on: a sortable field or cf.<key>
+const taskSortPath = (sortBy) => {
+  const sortPath = SORTABLE_FIELDS.includes(sortBy) ? sortBy : customSortPath(sortBy);
+  if (!sortPath) {
+    throw queryError(`Cannot sort by "${sortBy}". Sortable fields: ${SORTABLE_FIELDS.join(', ')} or cf.<field>`);
+  }
+  return sortPath;
+};
+
+/**
+ * Run a task query one page at a time, returning the list response fields.
+ * Pass `after` (a previous nextCursor) for cursor paging; without it, pages
+ * are picked by `page` number and the response also carries totals.
+ */
+const paginateTasks = async (query, { sortBy = 'createdAt', order = 'desc', page = 1, limit = 10, after } = {}) => {
+  // Custom fields sort as cf.<key>
+  const sortPath = taskSortPath(sortBy);
+
+  const pageSize = parseLimit(limit, 10);
+  const { items, nextCursor } = await fetchPage(findTasks, query, {
+    sortBy: sortPath,
+    order,
+    limit: pageSize,
+    after,
+    page
+  });
+
+  if (after) {
+    return {
+      count: items.length,
+      nextCursor,
+      data: items
+    };
+  }
+
+  const total = await Task.countDocuments(query);
+
+  return {
+    count: items.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / pageSize),
+    nextCursor,
+    data: items
+  };
+};
+
+module.exports = {
+  TASK_FILTERS,
+  buildTaskQuery,
+  taskSortPath,
+  paginateTasks
+};
@@ -0,0 +1,298 @@
+const User = require('../models/User');
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const { resolveWorkflow, initialStatus, isDoneStatus } = require('./workflow');
+const { resolveCustomValues } = require('./customFields');
+const { labelKey } = require('./labels');
+const { unguardCell } = require('./csv');
+
+/**
+ * Task export and CSV import.
+ *
+ * Exported tasks name people by email and the team and labels by name, so a
+ * file makes sense without the database. Imported rows go the other way and
+ * are checked against the team they land in before anything is written.
+ * List cells (tags, labels, assignees) hold values separated by ";".
+ */
+
+const EXPORT_FIELDS = [
+  'id', 'title', 'description', 'status', 'priority', 'dueDate', 'estimate', 'storyPoints', 'tags', 'labels',
+  'team', 'assignees', 'createdBy', 'createdAt', 'updatedAt', 'completedAt'
+];
+
+// Task fields a CSV column can be mapped to, besides cf.<key> custom fields
+const IMPORT_FIELDS = [
+  'title', 'description', 'status', 'priority', 'dueDate', 'estimate', 'storyPoints', 'tags', 'labels', 'assignees'
+];
+
+const LIST_SEPARATOR = ';';
+const CUSTOM_PREFIX = 'cf.';
+
+const PRIORITIES = Task.schema.path('priority').enumValues;
+
+/**
+ * Flatten a task, populated with its team, labels, assignees and creator,
+ * into an export record
+ */
+const exportRecord = (task) => ({
+  id: task.id,
+  title: task.title,
+  description: task.description ?? null,
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.dueDate ?? null,
+  estimate: task.estimate ?? null,
+  storyPoints: task.storyPoints ?? null,
+  tags: task.tags,
+  labels: task.labels.map(label => label?.name).filter(Boolean),
+  team: task.team?.name ?? null,
+  assignees: task.assignees.map(user => user?.email).filter(Boolean),
+  createdBy: task.createdBy?.email ?? null,
+  customFields: task.customFields || {},
+  createdAt: task.createdAt,
+  updatedAt: task.updatedAt,
+  completedAt: task.completedAt ?? null
+});
+
+const csvValue = (value) => (Array.isArray(value) ? value.join(LIST_SEPARATOR) : value);
+
+/**
+ * The CSV cells of an export record; `customKeys` adds cf.<key> columns
+ */
+const csvCells = (record, customKeys = []) => [
+  ...EXPORT_FIELDS.map(field => csvValue(record[field])),
+  ...customKeys.map(key => csvValue(record.customFields[key]))
+];
+
+const csvHeader = (customKeys = []) => [...EXPORT_FIELDS, ...customKeys.map(key => CUSTOM_PREFIX + key)];
+
+const splitList = (text) => text.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+/**
+ * Work out which CSV column feeds which task field. `mapping` maps header
+ * names to fields; without it, headers named like a field (in any case) are
+ * used and the rest ignored. Returns { columns, ignored } or { error }.
+ */
+const mapColumns = (header, mapping, team) => {
+  const customKeys = (team?.customFields || []).map(field => field.key);
+  const fieldFor = (name) => {
+    const lower = String(name).trim().toLowerCase();
+    if (lower.startsWith(CUSTOM_PREFIX)) {
+      const key = customKeys.find(custom => custom === lower.slice(CUSTOM_PREFIX.length));
+      return key && CUSTOM_PREFIX + key;
+    }
+    return IMPORT_FIELDS.find(field => field.toLowerCase() === lower);
+  };
+
+  const columns = [];
+  const ignored = [];
+
+  if (mapping) {
+    for (const [name, target] of Object.entries(mapping)) {
+      const index = header.findIndex(column => column.trim() === name.trim());
+      if (index === -1) {
+        return { error: `Mapped column "${name}" is not in the CSV header` };
+      }
+
+      const field = fieldFor(target);
+      if (!field) {
+        return {
+          error: `Column "${name}" is mapped to unknown field "${target}". ` +
+            `Map columns to ${IMPORT_FIELDS.join(', ')} or cf.<field>`
+        };
+      }
+      columns.push({ index, field });
+    }
+    header.forEach((column, index) => {
+      if (!columns.some(mapped => mapped.index === index)) {
+        ignored.push(column);
+      }
+    });
+  } else {
+    header.forEach((column, index) => {
+      const field = fieldFor(column);
+      if (field) {
+        columns.push({ index, field });
+      } else {
+        ignored.push(column);
+      }
+    });
+  }
+
+  const fields = columns.map(column => column.field);
+  const repeated = fields.find((field, index) => fields.indexOf(field) !== index);
+  if (repeated) {
+    return { error: `More than one column is mapped to ${repeated}` };
+  }
+  if (!fields.includes('title')) {
+    return { error: 'No column is mapped to title' };
+  }
+
+  return { columns, ignored };
+};
+
+const parseNumber = (text, name, errors) => {
+  const number = Number(text);
+  if (!isFinite(number) || number < 0) {
+    errors.push(`${name} must be a number of at least 0`);
+    return undefined;
+  }
+  return number;
+};
+
+/**
+ * Check one row of cells, keyed by field, and build the task it creates.
+ * `lookup` maps emails to users and label keys to the team's labels.
+ */
+const buildTask = (cells, { team, workflow, lookup, user }) => {
+  const errors = [];
+  const task = {
+    team: team?._id,
+    createdBy: user.id
+  };
+
+  if (cells.title) {
+    task.title = cells.title;
+  } else {
+    errors.push('Title is required');
+  }
+
+  if (cells.description) {
+    task.description = cells.description;
+  }
+
+  task.status = cells.status || initialStatus(workflow);
+  if (!workflow.statuses.includes(task.status)) {
+    errors.push(`Invalid status "${task.status}". Allowed statuses: ${workflow.statuses.join(', ')}`);
+  }
+  if (isDoneStatus(workflow, task.status)) {
+    task.completedAt = new Date();
+  }
+
+  if (cells.priority) {
+    task.priority = cells.priority.toLowerCase();
+    if (!PRIORITIES.includes(task.priority)) {
+      errors.push(`Invalid priority "${cells.priority}". Allowed priorities: ${PRIORITIES.join(', ')}`);
+    }
+  }
+
+  if (cells.dueDate) {
+    task.dueDate = new Date(cells.dueDate);
+    if (isNaN(task.dueDate.getTime())) {
+      errors.push(`Invalid due date "${cells.dueDate}"`);
+    }
+  }
+
+  if (cells.estimate) {
+    task.estimate = parseNumber(cells.estimate, 'Estimate', errors);
+  }
+  if (cells.storyPoints) {
+    task.storyPoints = parseNumber(cells.storyPoints, 'Story points', errors);
+  }
+
+  if (cells.tags) {
+    task.tags = [...new Set(splitList(cells.tags))];
+  }
+
+  if (cells.labels) {
+    const names = splitList(cells.labels);
+    if (!team) {
+      errors.push('Labels can only be set on team tasks');
+    } else {
+      const unknown = names.filter(name => !lookup.labels.get(labelKey(name)));
+      if (unknown.length) {
+        errors.push(`Unknown label: ${unknown.join(', ')}`);
+      }
+      task.labels = [...new Set(names.map(name => lookup.labels.get(labelKey(name))).filter(Boolean))];
+    }
+  }
+
+  if (cells.assignees) {
+    const emails = splitList(cells.assignees).map(email => email.toLowerCase());
+    const unknown = emails.filter(email => !lookup.users.get(email));
+    if (unknown.length) {
+      errors.push(`No user with email: ${unknown.join(', ')}`);
+    }
+    task.assignees = [...new Set(emails.map(email => lookup.users.get(email)).filter(Boolean))];
+    task.assignedTo = task.assignees[0];
+  }
+
+  // Empty cells leave a custom field unset; multiselect cells are lists
+  const customInput = {};
+  Object.keys(cells)
+    .filter(field => field.startsWith(CUSTOM_PREFIX) && cells[field])
+    .forEach(field => {
+      const key = field.slice(CUSTOM_PREFIX.length);
+      const definition = team.customFields.find(custom => custom.key === key);
+      customInput[key] = definition.type === 'multiselect' ? splitList(cells[field]) : cells[field];
+    });
+
+  const custom = resolveCustomValues(team, {}, customInput);
+  if (custom.error) {
+    errors.push(custom.error);
+  } else {
+    task.customFields = custom.values;
+  }
+
+  return { task, errors };
+};
+
+/**
+ * Check the records of a CSV file, header first, as tasks for `team` (or
+ * personal tasks without one). Rows are numbered by CSV record, the header
+ * being row 1, and blank rows are skipped. Resolves to
+ * { tasks: [{ row, task }], errors: [{ row, errors }], ignored } or { error }.
+ */
+const prepareImport = async (records, { mapping, team, user }) => {
+  const [header = [], ...rows] = records;
+
+  const mapped = mapColumns(header, mapping, team);
+  if (mapped.error) {
+    return { error: mapped.error };
+  }
+
+  const rowCells = rows
+    .map((cells, index) => ({
+      row: index + 2,
+      cells: Object.fromEntries(mapped.columns.map(({ index: column, field }) => [
+        field,
+        unguardCell((cells[column] || '').trim())
+      ]))
+    }))
+    .filter(({ cells }) => Object.values(cells).some(Boolean));
+
+  // Look up every email and label once for the whole file
+  const emails = [...new Set(rowCells.flatMap(({ cells }) => {
+    return cells.assignees ? splitList(cells.assignees).map(email => email.toLowerCase()) : [];
+  }))];
+  const users = emails.length ? await User.find({ email: { $in: emails } }).select('email') : [];
+  const labels = team ? await Label.find({ team: team._id }).select('key') : [];
+
+  const lookup = {
+    users: new Map(users.map(found => [found.email, found._id])),
+    labels: new Map(labels.map(label => [label.key, label._id]))
+  };
+  const workflow = resolveWorkflow(team);
+
+  const tasks = [];
+  const errors = [];
+  rowCells.forEach(({ row, cells }) => {
+    const built = buildTask(cells, { team, workflow, lookup, user });
+    if (built.errors.length) {
+      errors.push({ row, errors: built.errors });
+    } else {
+      tasks.push({ row, task: built.task });
+    }
+  });
+
+  return { tasks, errors, ignored: mapped.ignored };
+};
+
+module.exports = {
+  EXPORT_FIELDS,
+  IMPORT_FIELDS,
+  exportRecord,
+  csvHeader,
+  csvCells,
+  prepareImport
+};
@@ -0,0 +1,53 @@
+/**
+ * Task templates. Titles and descriptions can hold placeholders such as
+ * {{name}} or {{ release.version }}, filled in from the values given when a
+ * task is created from the template.
+ */
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_][\w.-]*)\s*\}\}/g;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Names of the placeholders a template uses, in order of first appearance
+const templatePlaceholders = (template) => {
+  const text = `${template.title || ''} ${template.description || ''}`;
+  return [...new Set([...text.matchAll(PLACEHOLDER)].map(match => match[1]))];
+};
+
+/**
+ * Fill a template's placeholders. Resolves to { title, description } or to
+ * { missing } listing the placeholders without a value.
+ */
+const fillTemplate = (template, values) => {
+  // Only the given values count, not what every object inherits
+  const valueOf = (name) => (values && Object.hasOwn(values, name) ? values[name] : undefined);
+
+  const missing = templatePlaceholders(template).filter(name => {
+    const value = valueOf(name);
+    return value === undefined || value === null || value === '';
+  });
+
+  if (missing.length > 0) {
+    return { missing };
+  }
+
+  const fill = (text) => text && text.replace(PLACEHOLDER, (match, name) => String(valueOf(name)));
+
+  return {
+    title: fill(template.title),
+    description: fill(template.description)
+  };
+};
+
+// Due date for a task created from a template, counted from `start`
+const templateDueDate = (template, start) => {
+  if (template.dueOffsetDays === undefined || template.dueOffsetDays === null) {
+    return undefined;
+  }
+  return new Date(start.getTime() + template.dueOffsetDays * DAY_MS);
+};
+
+module.exports = {
+  templatePlaceholders,
+  fillTemplate,
+  templateDueDate
+};
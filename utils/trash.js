@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment');
+const Activity = require('../models/Activity');
+const Worklog = require('../models/Worklog');
+const { withLock } = require('./lock');
+const { updateTasks } = require('./activity');
+
+/**
+ * Trash bin for deleted tasks.
+ *
+ * Deleting a task only stamps deletedAt, which hides it from every normal
+ * query (see the Task model), so it can be restored with its comments and
+ * attachments intact. Tasks left in the trash longer than the retention
+ * period are purged for good by a timer started with the server, on one
+ * instance at a time.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+// TRASH_RETENTION_DAYS sets how long deleted tasks stay restorable
+const retentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return days > 0 ? days : 30;
+};
+
+// When a task trashed at `deletedAt` will be purged
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * DAY_MS);
+
+// Filters reaching both live tasks and those in the trash, which queries
+// leave out unless they ask about deletedAt
+const everyTask = (filter) => [filter, { ...filter, deletedAt: { $ne: null } }];
+
+// Update live and trashed tasks alike, recording the changes as `actorId`'s
+const updateEveryTask = async (filter, actorId, ...updates) => {
+  for (const taskFilter of everyTask(filter)) {
+    await updateTasks(taskFilter, actorId, ...updates);
+  }
+};
+
+/**
+ * Permanently delete tasks trashed before the retention cutoff, along with
+ * their comments, attachment files, worklogs and history. Resolves to the
+ * number of tasks purged.
+ */
+const purgeTrash = async (now = Date.now()) => {
+  const cutoff = new Date(now - retentionDays() * DAY_MS);
+  const expired = await Task.find({ deletedAt: { $ne: null, $lt: cutoff } }).select('_id');
+  const ids = expired.map(task => task._id);
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const attachments = await Attachment.find({ task: { $in: ids } });
+  for (const attachment of attachments) {
+    try {
+      await fs.unlink(attachment.path);
+    } catch (error) {
+      console.error('Error deleting file:', error);
+    }
+  }
+
+  await Attachment.deleteMany({ task: { $in: ids } });
+  await Comment.deleteMany({ task: { $in: ids } });
+  await Activity.deleteMany({ task: { $in: ids } });
+  await Worklog.deleteMany({ task: { $in: ids } });
+
+  // Drop the purged tasks from dependency lists, in and out of the trash
+  await Task.updateMany({ blockedBy: { $in: ids } }, { $pull: { blockedBy: { $in: ids } } });
+  await Task.updateMany(
+    { blockedBy: { $in: ids }, deletedAt: { $ne: null } },
+    { $pull: { blockedBy: { $in: ids } } }
+  );
+
+  await Task.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+
+  return ids.length;
+};
+
+/**
+ * Purge now and then every hour, on whichever instance holds the lock.
+ * The timer doesn't keep the process alive.
+ */
+const startTrashPurge = () => {
+  const run = () => {
+    withLock('trash-purge', LOCK_TTL_MS, () => purgeTrash())
+      .then(({ ran, result }) => {
+        if (ran && result > 0) {
+          console.log(`Purged ${result} task(s) from the trash`);
+        }
+      })
+      .catch(error => console.error(`Trash purge failed: ${error.message}`));
+  };
+
+  run();
+  return setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  retentionDays,
+  purgeDate,
+  everyTask,
+  updateEveryTask,
+  purgeTrash,
+  startTrashPurge
+};
@@ -0,0 +1,142 @@
+const Team = require('../models/Team');
+
+/**
+ * Workflow used by tasks without a team, or whose team hasn't defined one.
+ * An empty transitions list means any status can move to any other.
+ */
+const DEFAULT_WORKFLOW = {
+  statuses: ['open', 'in-progress', 'completed', 'cancelled'],
+  doneStatuses: ['completed', 'cancelled'],
+  transitions: []
+};
+
+const resolveWorkflow = (team) => {
+  return team?.workflow?.statuses?.length ? team.workflow : DEFAULT_WORKFLOW;
+};
+
+// New tasks start in the first status of the workflow
+const initialStatus = (workflow) => workflow.statuses[0];
+
+// Completing a task moves it to the first done status
+const completionStatus = (workflow) => workflow.doneStatuses[0];
+
+const isDoneStatus = (workflow, status) => workflow.doneStatuses.includes(status);
+
+const canTransition = (workflow, from, to) => {
+  if (!workflow.statuses.includes(to)) {
+    return false;
+  }
+  if (from === to || !workflow.transitions?.length) {
+    return true;
+  }
+
+  const rule = workflow.transitions.find(transition => transition.from === from);
+  return Boolean(rule && rule.to.includes(to));
+};
+
+/**
+ * Whether moving into a status means starting or finishing the work, which a
+ * blocked task may not do. Going back to the initial status or closing the
+ * task some other way (e.g. cancelling) is still allowed.
+ */
+const isBlockedMove = (workflow, status) => {
+  if (status === initialStatus(workflow)) {
+    return false;
+  }
+  return !isDoneStatus(workflow, status) || status === completionStatus(workflow);
+};
+
+/**
+ * Check a workflow definition, returning an error message or null
+ */
+const validateWorkflow = ({ statuses, doneStatuses, transitions = [] } = {}) => {
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    return 'Workflow must define at least one status';
+  }
+  if (statuses.some(status => typeof status !== 'string' || !status.trim())) {
+    return 'Workflow statuses must be non-empty strings';
+  }
+  if (new Set(statuses).size !== statuses.length) {
+    return 'Workflow statuses must be unique';
+  }
+  if (!Array.isArray(doneStatuses) || doneStatuses.length === 0) {
+    return 'Workflow must mark at least one status as done';
+  }
+
+  const unknown = doneStatuses.filter(status => !statuses.includes(status));
+  if (unknown.length) {
+    return `Unknown done status: ${unknown.join(', ')}`;
+  }
+  if (doneStatuses.includes(statuses[0])) {
+    return 'The initial status cannot be a done status';
+  }
+
+  if (!Array.isArray(transitions)) {
+    return 'Workflow transitions must be a list';
+  }
+  for (const transition of transitions) {
+    const targets = Array.isArray(transition?.to) ? transition.to : [];
+    const invalid = [transition?.from, ...targets].filter(status => !statuses.includes(status));
+
+    if (!targets.length || invalid.length) {
+      return `Invalid transition from ${transition?.from}: statuses must come from the workflow`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Load the workflow that applies to tasks in a team
+ */
+const loadWorkflow = async (teamId) => {
+  if (!teamId) {
+    return DEFAULT_WORKFLOW;
+  }
+
+  const team = await Team.findById(teamId).select('workflow');
+  return resolveWorkflow(team);
+};
+
+/**
+ * Build a lookup of each task's workflow for a batch of tasks, loading each
+ * team's workflow once
+ */
+const loadWorkflowLookup = async (tasks) => {
+  const teamIds = [...new Set(
+    tasks.filter(task => task.team).map(task => (task.team._id || task.team).toString())
+  )];
+  const teams = await Team.find({ _id: { $in: teamIds } }).select('workflow');
+
+  const workflows = {};
+  teams.forEach(team => {
+    workflows[team.id] = resolveWorkflow(team);
+  });
+
+  return (task) => {
+    const teamId = task.team && (task.team._id || task.team).toString();
+    return workflows[teamId] || DEFAULT_WORKFLOW;
+  };
+};
+
+/**
+ * Build a done-check for a batch of tasks, loading each team's workflow once
+ */
+const loadDoneCheck = async (tasks) => {
+  const workflowOf = await loadWorkflowLookup(tasks);
+  return (task) => isDoneStatus(workflowOf(task), task.status);
+};
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  resolveWorkflow,
+  initialStatus,
+  completionStatus,
+  isDoneStatus,
+  canTransition,
+  isBlockedMove,
+  validateWorkflow,
+  loadWorkflow,
+  loadWorkflowLookup,
+  loadDoneCheck
+};